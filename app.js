@@ -10,14 +10,44 @@ var express = require('express');
 var session = require('express-session');
 var app = express();
 var mongojs = require('mongojs');
-var db = mongojs('makersBnB', ['adverts']);
+var Availability = require('./src/availability');
+var bookings = require('./src/bookings');
+var calendars = require('./src/calendars');
+var capacity = require('./src/capacity');
+var coupons = require('./src/coupons');
+var currencies = require('./src/currencies');
+var deposits = require('./src/deposits');
+var discounts = require('./src/discounts');
+var expiry = require('./src/expiry');
+var ical = require('./src/ical');
+var invoices = require('./src/invoices');
+var nights = require('./src/nights');
+var notifications = require('./src/notifications');
+var payments = require('./src/payments');
+var payouts = require('./src/payouts');
+var pricing = require('./src/pricing');
+var quotes = require('./src/quotes');
+var receipts = require('./src/receipts');
+var refunds = require('./src/refunds');
+var stayRules = require('./src/stayRules');
+var trips = require('./src/trips');
+var waitlist = require('./src/waitlist');
+var windows = require('./src/windows');
+var db = mongojs('makersBnB', ['adverts', 'users', 'bookings', 'notifications', 'waitlist', 'settings', 'coupons', 'invoices', 'payments', 'ledger', 'payoutRuns', 'payouts']);
+var importDir = process.env.CALENDAR_IMPORT_DIR || path.join(__dirname, 'imports');
+var defaultTimeZone = process.env.CALENDAR_TIME_ZONE || 'Europe/London';
+// Users who may update the exchange rates, by email.
+var adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(function(email) {
+  return email.trim();
+}).filter(Boolean);
 var app = express();
 var sess;
 
 app.set('views', __dirname + '/views/');
 app.set('view engine', 'ejs');
 app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({extended:false}));
+// Pasted calendars can run well past body-parser's 100kb default.
+app.use(bodyParser.urlencoded({extended:false, limit: '2mb'}));
 app.use(express.static(path.join(__dirname + '/public')));
 app.use(express.static(path.join(__dirname + '/lib')));
 app.use(session({secret: 'newsession'}));
@@ -29,41 +59,88 @@ app.listen(3000, function() {
   console.log("Server started on Port 3000...");
 });
 
-app.get('/', function(req, res) {
-  sess=req.session;
-
-  if(sess.email) {
-    console.log("You are logged in");
+expiry.schedule(db, console.log);
+invoices.schedule(db, console.log);
+deposits.schedule(db, console.log);
+payouts.schedule(db, console.log);
+coupons.createIndexes(db, function(err) {
+  if(err) {
+    console.log(err);
+  }
+});
+db.users.createIndex({email: 1}, {unique: true}, function(err) {
+  if(err) {
+    console.log(err);
   }
-  var message = ((sess.email ? ("Welcome, " +sess.username) : "Please log in or sign up"));
-   db.adverts.find(function (err, docs) {
+});
+
+function renderListings(req, res, view) {
+  var session = req.session;
+  var message = ((session.email ? ("Welcome, " +session.username) : "Please log in or sign up"));
+  var search = req.query || {};
+   db.adverts.find(discounts.searchQuery(search), function (err, docs) {
     if(err) {
       console.log(err);
     }
-      res.render('index', {
-        adverts: docs,
-        welcomeMessage: message
+    bookings.activeByAdvert(db, function(err, byAdvert) {
+      if(err) {
+        console.log(err);
+      }
+      notifications.unreadFor(db, session.userId || null, function(err, unread) {
+        if(err) {
+          console.log(err);
+        }
+        currencies.load(db, function(err, table) {
+          if(err) {
+            console.log(err);
+          }
+          var availability = {};
+          docs.forEach(function(advert) {
+            availability[advert._id] = new Availability(advert, (byAdvert || {})[advert._id]);
+          });
+          res.render(view, {
+            adverts: docs,
+            availability: availability,
+            notifications: unread || [],
+            nights: nights,
+            windows: windows,
+            refunds: refunds,
+            stayRules: stayRules,
+            capacity: capacity,
+            pricing: pricing,
+            discounts: discounts,
+            currencies: currencies,
+            rateTable: table,
+            displayCurrency: session.currency || null,
+            search: search,
+            userId: session.userId,
+            welcomeMessage: message
+          });
+        });
       });
     });
+  });
+}
+
+app.get('/', function(req, res) {
+  sess=req.session;
+
+  if(sess.email) {
+    console.log("You are logged in");
+  }
+  renderListings(req, res, 'index');
 });
 
 app.get('/users/new', function(req, res) {
-  sess=req.session;
-  var message = ((sess.email ? ("Welcome, " +sess.username) : "Please log in or sign up"));
-   db.adverts.find(function (err, docs) {
-    if(err) {
-      console.log(err);
-    }
-      res.render('users/new', {
-        adverts: docs,
-        welcomeMessage: message
-      });
-    });
+  renderListings(req, res, 'users/new');
 });
 
+// An email can only belong to one account, since admins are recognised by
+// theirs. The unique index on `users.email` stops two sign-ups at the same
+// moment both taking it.
 app.post('/users/new', function(req, res) {
-  sess=req.session;
-  console.log("Signed up with email: " + sess.email);
+  var session = req.session;
+  console.log("Signed up with email: " + req.body.email);
   if(req.body.password == req.body.passwordComfirmation) {
     var newUser = {
       name: req.body.name,
@@ -72,29 +149,29 @@ app.post('/users/new', function(req, res) {
       password: req.body.password,
     };
 
-    db.users.insert(newUser, function(err, result){
-      if(err){
+    db.users.findOne({email: req.body.email}, function(err, existing) {
+      if(err) {
         console.log(err);
       }
-      sess.email = req.body.email;
-      sess.username = req.body.username;
-      res.redirect('/');
+      if(existing) {
+        return renderConflict(res, 'There is already an account with that email. Log in instead.');
+      }
+      db.users.insert(newUser, function(err, result){
+        if(err){
+          console.log(err);
+          return renderConflict(res, 'There is already an account with that email. Log in instead.');
+        }
+        session.email = result.email;
+        session.username = result.username;
+        session.userId = result._id.toHexString();
+        res.redirect('/');
+      });
     });
   }
 });
 
 app.get('/sessions/new', function(req, res) {
-  sess=req.session;
-  var message = ((sess.email ? ("Welcome, " +sess.username) : "Please log in or sign up"));
-   db.adverts.find(function (err, docs) {
-    if(err) {
-      console.log(err);
-    }
-      res.render('sessions/new', {
-        adverts: docs,
-        welcomeMessage: message
-      });
-    });
+  renderListings(req, res, 'sessions/new');
 });
 
 app.post('/sessions/new', function(req, res){
@@ -110,6 +187,7 @@ app.post('/sessions/new', function(req, res){
     }
     else if(req.body.password === foundUser.password){
       sess.username = foundUser.username;
+      sess.userId = foundUser._id.toHexString();
       sess.email=req.body.email;
       sess.password=req.body.password;
       res.redirect('/');
@@ -132,14 +210,906 @@ app.delete('/sessions', function(req, res) {
   });
 });
 
+// Guests choose the currency prices are shown in; an empty choice goes back
+// to each host's own.
+app.post('/currency', function(req, res) {
+  sess=req.session;
+  sess.currency = req.body.currency ? currencies.codeNamed(req.body.currency) : null;
+  res.redirect(req.get('Referer') || '/');
+});
+
+function renderBookingForm(res, advert, values, errors) {
+  var inAdvertCurrency = function(amount) {
+    return currencies.format(amount, advert.currency);
+  };
+  res.render('bookings/new', {
+    advert: advert,
+    values: values,
+    errors: errors,
+    rules: stayRules.describe(advert.rules),
+    fromPrice: pricing.hasRules(advert) ? pricing.lowest(advert, windows.nightsOf(windows.of(advert)).filter(function(night) {
+      return night >= nights.of();
+    })) : null,
+    rooms: capacity.describe(advert.capacity),
+    extraGuestFee: capacity.describeFee(advert.capacity, inAdvertCurrency),
+    money: inAdvertCurrency,
+    maxGuests: advert.capacity && advert.capacity.maxGuests
+  });
+}
+
+app.get('/adverts/:id/book', function(req, res) {
+  db.adverts.findOne({_id: mongojs.ObjectId(req.params.id)}, function(err, advert) {
+    if(err) {
+      console.log(err);
+    }
+    if(!advert) {
+      return res.status(404).send('Advert not found');
+    }
+    renderBookingForm(res, advert, req.query, {});
+  });
+});
 
 app.post('/book', function (req, res) {
-  db.adverts.update({_id:mongojs.ObjectId(req.body.bookBtn)}, {$set: {booked:true}});
-  res.redirect('/');
+  var session = req.session;
+  if(!session.userId) {
+    return res.redirect('/sessions/new');
+  }
+  var checkIn = nights.normalise(req.body.checkIn);
+  var checkOut = nights.normalise(req.body.checkOut);
+  var stayNights = nights.stay(checkIn, checkOut);
+  var guests = capacity.guestsFrom(req.body.guests);
+  db.adverts.findOne({_id:mongojs.ObjectId(req.body.bookBtn)}, function(err, advert) {
+    if(err) {
+      console.log(err);
+    }
+    if(!advert) {
+      return res.redirect('/');
+    }
+    if(advert.userId === session.userId) {
+      return renderConflict(res, 'You can\'t book your own listing.');
+    }
+    var errors = stayRules.check(advert.rules, checkIn, checkOut, new Date());
+    var guestErrors = capacity.check(advert.capacity, guests);
+    Object.keys(guestErrors).forEach(function(field) {
+      errors[field] = guestErrors[field];
+    });
+    if(Object.keys(errors).length) {
+      return renderBookingForm(res.status(422), advert, req.body, errors);
+    }
+    bookings.activeForAdvert(db, advert._id.toHexString(), function(err, active) {
+      if(err) {
+        console.log(err);
+      }
+      var unavailable = new Availability(advert, active).unavailableNights(stayNights);
+      if(unavailable.length) {
+        return renderConflict(res, advert.name + ' is not available on ' + unavailable.map(nights.toDateString).join(', ') + '.');
+      }
+      waitlist.heldNights(db, advert._id.toHexString(), session.userId, new Date(), function(err, held) {
+        if(err) {
+          console.log(err);
+        }
+        var onHold = stayNights.filter(function(night) {
+          return held && held[night];
+        });
+        if(onHold.length) {
+          return renderConflict(res, onHold.map(nights.toDateString).join(', ') + ' are being held for a guest from the waitlist. Try again later.');
+        }
+        currencies.load(db, function(err, table) {
+          if(err) {
+            console.log(err);
+          }
+          coupons.find(db, req.body.couponCode, function(err, coupon) {
+            if(err) {
+              console.log(err);
+            }
+            var couponError = req.body.couponCode ? coupons.check(coupon, {
+              advert: advert,
+              guestId: session.userId,
+              nightCount: stayNights.length,
+              when: new Date()
+            }) : null;
+            var quote = quotes.quote(advert, {
+              checkIn: checkIn,
+              checkOut: checkOut,
+              guests: guests,
+              coupon: coupon && !couponError ? coupons.forQuote(coupon, currencies.codeNamed(advert.currency), table) : null
+            });
+            var card = (req.body.card || '').trim();
+            var paymentError = req.body.confirm === 'yes' && !card ? 'Enter the card to pay with.' : null;
+            // Guests see the price in full before anything is requested.
+            if(req.body.confirm !== 'yes' || couponError || paymentError) {
+              return res.status(couponError || paymentError ? 422 : 200).render('bookings/confirm', {
+                advert: advert,
+                quote: quote,
+                lines: quotes.guestLines(quote),
+                policy: refunds.policyNamed(advert.cancellationPolicy),
+                nights: nights,
+                currencies: currencies,
+                rateTable: table,
+                displayCurrency: session.currency || null,
+                couponCode: req.body.couponCode || '',
+                couponError: couponError,
+                paymentGateway: payments.gateway().name,
+                stripeKey: payments.settings().stripePublishableKey,
+                paymentError: paymentError
+              });
+            }
+            requestStay(res, advert, {
+              guestId: session.userId,
+              guestUsername: session.username,
+              guestEmail: session.email,
+              checkIn: checkIn,
+              checkOut: checkOut,
+              nights: stayNights,
+              guests: guests,
+              quote: quote,
+              exchange: currencies.exchangeFor(quote.currency, session.currency, table),
+              coupon: quote.coupon ? coupon : null,
+              card: card,
+              siteUrl: req.protocol + '://' + req.get('host')
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+// Records a request for a stay that has passed every check and been
+// confirmed at its quoted price, for the guest named in `stay`. The guest's
+// card is authorised and any coupon redeemed first, and the request goes no
+// further if the card is declined or someone else has just taken the
+// coupon's last use.
+function requestStay(res, advert, stay) {
+  payments.authorise(db, payments.gateway(), {
+    purpose: 'stay',
+    amount: stay.quote.total,
+    currency: stay.quote.currency,
+    card: stay.card,
+    siteUrl: stay.siteUrl
+  }, function(err, payment) {
+    if(err) {
+      console.log(err);
+      return renderConflict(res, 'We couldn\'t take your payment just now. Please try again.');
+    }
+    if(payment.status === 'declined') {
+      return renderPaymentProblem(res, payment);
+    }
+    if(!stay.coupon) {
+      return recordStay(res, advert, stay, payment, null);
+    }
+    coupons.redeem(db, stay.coupon, stay.guestId, function(err, redeemed) {
+      if(err) {
+        console.log(err);
+      }
+      if(!redeemed) {
+        return payments.cancel(db, payments.gateway(), payment, function(err) {
+          if(err) {
+            console.log(err);
+          }
+          renderConflict(res, 'The code ' + stay.coupon.code + ' has just been used up. Go back to see the price without it.');
+        });
+      }
+      recordStay(res, advert, stay, payment, {
+        couponId: redeemed._id.toHexString(),
+        code: redeemed.code,
+        amount: stay.quote.coupon.amount
+      });
+    });
+  });
+}
+
+// Stores the request and uses up any waitlist hold the guest had on its
+// nights. A guest whose bank wants a 3-D Secure check goes off to do it and
+// the request carries on when they come back.
+function recordStay(res, advert, stay, payment, coupon) {
+  bookings.request(db, {
+    advertId: advert._id.toHexString(),
+    hostId: advert.userId,
+    guestId: stay.guestId,
+    guestUsername: stay.guestUsername,
+    checkIn: stay.checkIn,
+    checkOut: stay.checkOut,
+    nights: stay.nights,
+    guests: stay.guests,
+    quote: stay.quote,
+    exchange: stay.exchange,
+    coupon: coupon,
+    deposit: deposits.forStay(advert, stay.quote),
+    cancellationPolicy: advert.cancellationPolicy
+  }, function(err, booking) {
+    if(err || !booking) {
+      console.log(err);
+      return abandonStay(res, stay, payment, coupon);
+    }
+    console.log("Booking requested from " + stay.checkIn + " to " + stay.checkOut + " by " + stay.guestEmail);
+    payments.attach(db, payment, booking._id.toHexString(), function(err) {
+      if(err) {
+        console.log(err);
+      }
+      waitlist.redeem(db, advert._id.toHexString(), stay.guestId, stay.nights, function(err) {
+        if(err) {
+          console.log(err);
+        }
+        if(payment.status === 'requires_action') {
+          return res.redirect(payment.actionUrl);
+        }
+        finishRequest(res, advert, booking);
+      });
+    });
+  });
+}
+
+// Lets go of the card authorisation and any coupon use taken for a request
+// that couldn't be stored, so nothing is left held without a booking.
+function abandonStay(res, stay, payment, coupon) {
+  payments.cancel(db, payments.gateway(), payment, function(err) {
+    if(err) {
+      console.log(err);
+    }
+    if(!coupon) {
+      return renderConflict(res, 'We couldn\'t send your request just now, and your card hasn\'t been charged. Please try again.');
+    }
+    coupons.unredeem(db, coupon.couponId, stay.guestId, function(err) {
+      if(err) {
+        console.log(err);
+      }
+      renderConflict(res, 'We couldn\'t send your request just now, and your card hasn\'t been charged. Please try again.');
+    });
+  });
+}
+
+// Instant Book adverts confirm valid, paid-for requests without waiting for
+// the host.
+function finishRequest(res, advert, booking) {
+  if(!advert.instantBook) {
+    return res.redirect('/trips');
+  }
+  bookings.bookInstantly(db, booking._id.toHexString(), function(err, approved, withdrawn) {
+    if(err) {
+      console.log(err);
+    }
+    if(approved) {
+      return afterApproval(approved, function() {
+        res.redirect('/trips');
+      });
+    }
+    afterEnding(withdrawn, function() {
+      renderConflict(res, 'Someone else has just booked some of these nights.');
+    });
+  });
+}
+
+function renderPaymentProblem(res, payment) {
+  res.status(402).render('bookings/conflict', {
+    message: (payment.message || 'Your payment didn\'t go through.') + ' Go back and try another card.'
+  });
+}
+
+// Looks up a booking the signed-in user is allowed to act on in one of
+// `roles` ('hostId' for the advert's owner, 'guestId' for the requester),
+// calling back with it and the user's id. The id is read from this request's
+// own session, never the shared `sess` another request may have replaced.
+function findOwnBooking(req, res, roles, callback) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  db.bookings.findOne({_id: mongojs.ObjectId(req.params.id)}, function(err, booking) {
+    if(err) {
+      console.log(err);
+    }
+    var allowed = booking && [].concat(roles).some(function(role) {
+      return booking[role] === userId;
+    });
+    if(!allowed) {
+      return res.status(404).send('Booking not found');
+    }
+    callback(booking, userId);
+  });
+}
+
+function renderConflict(res, message) {
+  res.status(409).render('bookings/conflict', {message: message});
+}
+
+function finishTransition(res, conflictMessage, redirectTo, afterwards) {
+  return function(err, booking) {
+    if(err) {
+      console.log(err);
+    }
+    if(!booking) {
+      return renderConflict(res, conflictMessage);
+    }
+    if(!afterwards) {
+      return res.redirect(redirectTo);
+    }
+    afterwards(booking, function() {
+      res.redirect(redirectTo);
+    });
+  };
+}
+
+// A cancelled or declined booking may leave nights free for someone on the
+// advert's waitlist, and a request that never became a stay gives back the
+// use of any coupon it came with. Its payment is voided or refunded.
+function afterEnding(booking, callback) {
+  if(!booking) {
+    return callback();
+  }
+  giveBackCoupon(booking, function() {
+    settlePayment(booking, function() {
+      offerToWaitlist(booking.advertId, callback);
+    });
+  });
+}
+
+function offerToWaitlist(advertId, callback) {
+  waitlist.offerFreed(db, advertId, {hours: expiry.settings().holdHours}, function(err) {
+    if(err) {
+      console.log(err);
+    }
+    callback();
+  });
+}
+
+// Approved bookings are paid for and get a numbered receipt for the guest.
+function afterApproval(booking, callback) {
+  settlePayment(booking, function() {
+    receipts.issue(db, booking, function(err) {
+      if(err) {
+        console.log(err);
+      }
+      callback();
+    });
+  });
+}
+
+// Anything the gateway couldn't do now is retried by the expiry sweep.
+function settlePayment(booking, callback) {
+  payments.settle(db, payments.gateway(), booking, function(err) {
+    if(err) {
+      console.log(err);
+    }
+    callback();
+  });
+}
+
+function giveBackCoupon(booking, callback) {
+  if(!booking || !booking.coupon) {
+    return callback();
+  }
+  coupons.release(db, booking, function(err) {
+    if(err) {
+      console.log(err);
+    }
+    callback();
+  });
+}
+
+app.get('/host/requests', function(req, res) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  db.users.findOne({_id: mongojs.ObjectId(userId)}, function(err, user) {
+    if(err) {
+      console.log(err);
+    }
+    calendars.ensureToken(db.users, user, function(err, token) {
+      if(err) {
+        console.log(err);
+      }
+      db.adverts.find({userId: userId}, function(err, adverts) {
+        if(err) {
+          console.log(err);
+        }
+        var advertsById = {};
+        adverts.forEach(function(advert) {
+          advertsById[advert._id] = advert;
+        });
+        var advertIds = Object.keys(advertsById);
+        bookings.forAdverts(db, advertIds, ['pending', 'approved', 'expired'], function(err, byStatus) {
+          if(err) {
+            console.log(err);
+          }
+          invoices.forHost(db, userId, function(err, statements) {
+            if(err) {
+              console.log(err);
+            }
+            byStatus = byStatus || {pending: [], approved: [], expired: []};
+            var pendingIds = byStatus.pending.map(function(booking) {
+              return booking._id.toHexString();
+            });
+            // Requests still waiting on the guest's 3-D Secure check can't be
+            // approved yet, so they are shown without the Approve button.
+            payments.awaitingAction(db, pendingIds, function(err, awaitingPayment) {
+              if(err) {
+                console.log(err);
+              }
+              var today = nights.of();
+              var releaseDays = deposits.settings().releaseDays;
+              res.render('host/requests', {
+                requests: byStatus.pending,
+                upcoming: byStatus.approved.filter(function(booking) {
+                  return refunds.canCancel(booking.checkIn || booking.night, today);
+                }),
+                // Deposits stay listed until they are released or kept.
+                heldDeposits: byStatus.approved.filter(function(booking) {
+                  var deposit = booking.deposit;
+                  return deposit && ['authorising', 'requires_action', 'held', 'failed'].indexOf(deposit.status) !== -1;
+                }),
+                canClaim: function(booking) {
+                  return deposits.canClaim(booking, today, releaseDays);
+                },
+                describeDeposit: function(booking) {
+                  return deposits.describeStatus(booking, releaseDays);
+                },
+                expired: byStatus.expired.reverse(),
+                statements: statements || [],
+                advertsById: advertsById,
+                bookingNights: bookings.nightsOf,
+                feedUrl: feedUrl(req, 'hosts', token),
+                nights: nights,
+                currencies: currencies,
+                describeMonth: invoices.describeMonth,
+                awaitingPayment: awaitingPayment || {}
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+function feedUrl(req, kind, token) {
+  return req.protocol + '://' + req.get('host') + '/calendars/' + kind + '/' + token + '.ics';
+}
+
+function sendCalendar(res, name, adverts) {
+  var advertIds = adverts.map(function(advert) {
+    return advert._id.toHexString();
+  });
+  db.bookings.find({advertId: {$in: advertIds}, status: 'approved'}, function(err, approved) {
+    if(err) {
+      console.log(err);
+    }
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(calendars.feed(name, adverts, approved || []));
+  });
+}
+
+app.get('/calendars/adverts/:token.ics', function(req, res) {
+  db.adverts.findOne({icalToken: req.params.token}, function(err, advert) {
+    if(err) {
+      console.log(err);
+    }
+    if(!advert) {
+      return res.status(404).send('Calendar not found');
+    }
+    sendCalendar(res, advert.name + ' on MakersBnB', [advert]);
+  });
+});
+
+app.get('/calendars/hosts/:token.ics', function(req, res) {
+  db.users.findOne({icalToken: req.params.token}, function(err, user) {
+    if(err) {
+      console.log(err);
+    }
+    if(!user) {
+      return res.status(404).send('Calendar not found');
+    }
+    db.adverts.find({userId: user._id.toHexString()}, function(err, adverts) {
+      if(err) {
+        console.log(err);
+      }
+      sendCalendar(res, user.username + '\'s spaces on MakersBnB', adverts || []);
+    });
+  });
+});
+
+app.post('/host/ical-token', function(req, res) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  calendars.regenerateToken(db.users, {_id: mongojs.ObjectId(userId)}, function(err) {
+    if(err) {
+      console.log(err);
+    }
+    res.redirect('/host/requests');
+  });
+});
+
+app.get('/trips', function(req, res) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  db.bookings.find({guestId: userId}).sort({createdAt: -1}, function(err, guestBookings) {
+    if(err) {
+      console.log(err);
+    }
+    waitlist.activeFor(db, userId, function(err, waiting) {
+      if(err) {
+        console.log(err);
+      }
+      guestBookings = guestBookings || [];
+      waiting = waiting || [];
+      var advertIds = guestBookings.concat(waiting).map(function(booking) {
+        return mongojs.ObjectId(booking.advertId);
+      });
+      db.adverts.find({_id: {$in: advertIds}}, function(err, adverts) {
+        if(err) {
+          console.log(err);
+        }
+        var advertsById = {};
+        (adverts || []).forEach(function(advert) {
+          advertsById[advert._id] = advert;
+        });
+        notifications.unreadFor(db, userId, function(err, unread) {
+          if(err) {
+            console.log(err);
+          }
+          notifications.markRead(db, userId);
+          var bookingIds = guestBookings.map(function(booking) {
+            return booking._id.toHexString();
+          });
+          payments.awaitingAction(db, bookingIds, function(err, actionUrls) {
+            if(err) {
+              console.log(err);
+            }
+            res.render('trips/index', {
+              trips: trips.group(guestBookings, new Date()),
+              waiting: waiting,
+              notifications: unread || [],
+              advertsById: advertsById,
+              actionUrls: actionUrls,
+              describeDeposit: function(booking) {
+                return deposits.describeStatus(booking, deposits.settings().releaseDays);
+              },
+              nights: nights,
+              currencies: currencies
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+// Requests can't be approved until the guest's card has been authorised.
+app.post('/bookings/:id/approve', function(req, res) {
+  findOwnBooking(req, res, 'hostId', function(booking) {
+    payments.forBooking(db, req.params.id, 'stay', function(err, payment) {
+      if(err) {
+        console.log(err);
+      }
+      if(payment && payment.status !== 'authorised') {
+        return renderConflict(res, 'This request can\'t be approved until the guest has finished paying.');
+      }
+      bookings.approve(db, req.params.id, finishTransition(res,
+        'This request can no longer be approved: the night has already been booked or the request was withdrawn.',
+        '/host/requests', afterApproval));
+    });
+  });
+});
+
+// The pretend bank page where guests paying through the mock gateway pass or
+// fail 3-D Secure. It only exists when the mock is the gateway, which it
+// never is in production unless PAYMENT_GATEWAY says so.
+if(payments.gateway().name === 'mock') {
+  app.get('/payments/mock/:id', function(req, res) {
+    if(!req.session.userId) {
+      return res.redirect('/sessions/new');
+    }
+    res.render('payments/authenticate', {id: req.params.id});
+  });
+
+  app.post('/payments/mock/:id', function(req, res) {
+    if(!req.session.userId) {
+      return res.redirect('/sessions/new');
+    }
+    payments.gateway().authenticate(req.params.id, req.body.outcome === 'pass', function(err, returnUrl) {
+      if(err) {
+        console.log(err);
+        return res.status(404).send('Payment not found');
+      }
+      res.redirect(returnUrl);
+    });
+  });
+}
+
+// Where guests come back to after 3-D Secure. A request whose payment failed
+// is withdrawn; one that went through carries on as if it had just been
+// made. A deposit is held or not as the bank decided.
+app.get('/payments/:id/return', function(req, res) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  payments.find(db, req.params.id, function(err, payment) {
+    if(err) {
+      console.log(err);
+    }
+    if(!payment || !payment.bookingId) {
+      return res.status(404).send('Payment not found');
+    }
+    db.bookings.findOne({_id: mongojs.ObjectId(payment.bookingId), guestId: userId}, function(err, booking) {
+      if(err) {
+        console.log(err);
+      }
+      if(!booking) {
+        return res.status(404).send('Payment not found');
+      }
+      payments.refresh(db, payments.gateway(), payment, function(err, refreshed) {
+        if(err) {
+          console.log(err);
+          return res.redirect('/trips');
+        }
+        if(refreshed.purpose === 'deposit') {
+          return deposits.recordHold(db, booking, refreshed, function(err) {
+            if(err) {
+              console.log(err);
+            }
+            res.redirect('/trips');
+          });
+        }
+        if(refreshed.status === 'declined') {
+          return bookings.cancel(db, payment.bookingId, 'system', function(err, cancelled) {
+            if(err) {
+              console.log(err);
+            }
+            afterEnding(cancelled, function() {
+              renderPaymentProblem(res, refreshed);
+            });
+          });
+        }
+        if(refreshed.status !== 'authorised' || booking.status !== 'pending') {
+          return res.redirect('/trips');
+        }
+        db.adverts.findOne({_id: mongojs.ObjectId(booking.advertId)}, function(err, advert) {
+          if(err) {
+            console.log(err);
+          }
+          if(!advert) {
+            return res.redirect('/trips');
+          }
+          finishRequest(res, advert, booking);
+        });
+      });
+    });
+  });
+});
+
+function sendPdf(res, fileName, buffer) {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', 'attachment; filename="' + fileName + '"');
+  res.send(buffer);
+}
+
+app.get('/bookings/:id/receipt', function(req, res) {
+  findOwnBooking(req, res, ['guestId', 'hostId'], function(booking) {
+    if(!booking.receipt) {
+      return res.status(404).send('This booking has no receipt yet');
+    }
+    receipts.pdfFor(db, booking, function(err, buffer) {
+      if(err) {
+        console.log(err);
+        return res.status(500).send('Couldn\'t make the receipt');
+      }
+      sendPdf(res, 'receipt-' + booking.receipt.number + '.pdf', buffer);
+    });
+  });
+});
+
+app.get('/host/invoices/:id', function(req, res) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  db.invoices.findOne({_id: mongojs.ObjectId(req.params.id), hostId: userId}, function(err, invoice) {
+    if(err) {
+      console.log(err);
+    }
+    if(!invoice) {
+      return res.status(404).send('Statement not found');
+    }
+    sendPdf(res, 'statement-' + invoice.number + '.pdf', invoices.render(invoice));
+  });
+});
+
+app.get('/host/payouts', function(req, res) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  payouts.balance(db, userId, new Date(), function(err, owed) {
+    if(err) {
+      console.log(err);
+    }
+    payouts.forHost(db, userId, function(err, paid) {
+      if(err) {
+        console.log(err);
+      }
+      res.render('host/payouts', {
+        owed: owed || {held: {}, available: {}, entries: []},
+        paid: paid || [],
+        holdHours: payouts.settings().holdHours,
+        describeTotals: payouts.describeTotals,
+        currencies: currencies,
+        nights: nights
+      });
+    });
+  });
+});
+
+app.get('/host/payouts/:id', function(req, res) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  db.payouts.findOne({_id: mongojs.ObjectId(req.params.id), hostId: userId}, function(err, payout) {
+    if(err) {
+      console.log(err);
+    }
+    if(!payout) {
+      return res.status(404).send('Payout not found');
+    }
+    sendPdf(res, 'payout-' + payout.number + '.pdf', payouts.render(payout));
+  });
+});
+
+app.post('/bookings/:id/deny', function(req, res) {
+  findOwnBooking(req, res, 'hostId', function(booking) {
+    bookings.transition(db, req.params.id, 'denied', finishTransition(res, 'This request has already been dealt with.', '/host/requests', afterEnding));
+  });
+});
+
+app.post('/bookings/:id/cancel', function(req, res) {
+  findOwnBooking(req, res, ['guestId', 'hostId'], function(booking, userId) {
+    var cancelledBy = booking.hostId === userId ? 'host' : 'guest';
+    bookings.cancel(db, req.params.id, cancelledBy, finishTransition(res,
+      'This booking can no longer be cancelled.',
+      cancelledBy === 'host' ? '/host/requests' : '/trips', afterEnding));
+  });
+});
+
+// Hosts can claim against a deposit while it is held and until it is due
+// to be released.
+app.post('/bookings/:id/claim', function(req, res) {
+  findOwnBooking(req, res, 'hostId', function(booking) {
+    if(!deposits.canClaim(booking, nights.of(), deposits.settings().releaseDays)) {
+      return renderConflict(res, 'There is no deposit held on this stay to claim against.');
+    }
+    var form = deposits.claimFromForm(req.body, booking.deposit);
+    if(form.error) {
+      return res.status(422).render('bookings/conflict', {message: form.error});
+    }
+    deposits.fileClaim(db, booking, form.claim, function(err, claimed) {
+      if(err) {
+        console.log(err);
+      }
+      if(!claimed) {
+        return renderConflict(res, 'This deposit has already been claimed against or released.');
+      }
+      res.redirect('/host/requests');
+    });
+  });
+});
+
+// Captures or releases a deposit as soon as its claim is agreed, rather
+// than at the next sweep.
+function settleDeposit(booking, callback) {
+  deposits.settle(db, payments.gateway(), booking, nights.of(), deposits.settings().releaseDays, function(err) {
+    if(err) {
+      console.log(err);
+    }
+    callback();
+  });
+}
+
+app.post('/bookings/:id/claim/:answer(accept|dispute)', function(req, res) {
+  findOwnBooking(req, res, 'guestId', function(booking) {
+    if(!booking.deposit || !booking.deposit.claim) {
+      return res.status(404).send('Claim not found');
+    }
+    deposits.respond(db, booking, req.params.answer === 'accept', req.body.reason, function(err, answered) {
+      if(err) {
+        console.log(err);
+      }
+      if(!answered) {
+        return renderConflict(res, 'This claim has already been answered.');
+      }
+      settleDeposit(answered, function() {
+        res.redirect('/trips');
+      });
+    });
+  });
+});
+
+// Guests can only wait for stays made of nights the advert offers, at least
+// one of which is already booked; a stay that is free is simply requested.
+app.post('/waitlist', function(req, res) {
+  var session = req.session;
+  if(!session.userId) {
+    return res.redirect('/sessions/new');
+  }
+  var checkIn = nights.normalise(req.body.checkIn);
+  var checkOut = nights.normalise(req.body.checkOut);
+  var stayNights = nights.stay(checkIn, checkOut);
+  db.adverts.findOne({_id: mongojs.ObjectId(req.body.waitlistBtn)}, function(err, advert) {
+    if(err) {
+      console.log(err);
+    }
+    if(!advert) {
+      return res.redirect('/');
+    }
+    if(advert.userId === session.userId) {
+      return renderConflict(res, 'You can\'t join the waitlist for your own listing.');
+    }
+    if(!stayNights.length || checkIn < nights.of()) {
+      return renderConflict(res, 'Pick a check-in date that hasn\'t gone by and a check-out date after it, at most ' +
+        nights.MAX_STAY_NIGHTS + ' nights later.');
+    }
+    var advertId = advert._id.toHexString();
+    bookings.activeForAdvert(db, advertId, function(err, active) {
+      if(err) {
+        console.log(err);
+      }
+      var calendar = new Availability(advert, active);
+      var statuses = stayNights.map(calendar.status, calendar);
+      var notOffered = stayNights.filter(function(night, index) {
+        return statuses[index] === 'unavailable' || statuses[index] === 'blocked';
+      });
+      if(notOffered.length) {
+        return renderConflict(res, advert.name + ' is not offered on ' + notOffered.map(nights.toDateString).join(', ') + '.');
+      }
+      if(statuses.indexOf('booked') === -1) {
+        return res.redirect('/adverts/' + advertId + '/book?checkIn=' + checkIn + '&checkOut=' + checkOut);
+      }
+      waitlist.join(db, {
+        advertId: advertId,
+        guestId: session.userId,
+        guestUsername: session.username,
+        checkIn: checkIn,
+        checkOut: checkOut
+      }, function(err) {
+        if(err) {
+          console.log(err);
+        }
+        res.redirect('/trips');
+      });
+    });
+  });
+});
+
+app.delete('/waitlist/:id', function(req, res) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  waitlist.leave(db, req.params.id, userId, function(err, entry) {
+    if(err) {
+      console.log(err);
+    }
+    if(!entry || entry.status !== 'offered') {
+      return res.redirect('/trips');
+    }
+    offerToWaitlist(entry.advertId, function() {
+      res.redirect('/trips');
+    });
+  });
 });
 
 app.get('/new-advert', function(req, res) {
-  res.render('advert/new');
+  res.render('advert/new', {
+    policies: Object.keys(refunds.POLICIES),
+    defaultPolicy: refunds.DEFAULT_POLICY,
+    currencies: currencies.CURRENCIES,
+    defaultCurrency: currencies.BASE_CURRENCY
+  });
 });
 
 app.post('/new-advert', function(req, res) {
@@ -161,9 +1131,16 @@ app.post('/new-advert', function(req, res) {
     name: req.body.advertName,
     description: req.body.advertDescription,
     price: req.body.advertPrice,
-    startDate: req.body.advertStartDate,
-    endDate: req.body.advertEndDate,
-    booked: false
+    currency: currencies.codeNamed(req.body.advertCurrency),
+    cleaningFee: pricing.money(req.body.advertCleaningFee),
+    deposit: pricing.money(req.body.advertDeposit),
+    windows: windows.fromForm(req.body.advertStartDate, req.body.advertEndDate),
+    cancellationPolicy: refunds.policyNamed(req.body.advertCancellationPolicy),
+    instantBook: Boolean(req.body.advertInstantBook),
+    rules: stayRules.fromForm(req.body),
+    capacity: capacity.fromForm(req.body),
+    discounts: discounts.fromForm(req.body.advertDiscountNights, req.body.advertDiscountPercent),
+    icalToken: calendars.newToken()
   };
 
   db.adverts.insert(newAd, function(err, result){
@@ -176,6 +1153,470 @@ app.post('/new-advert', function(req, res) {
   });
 });
 
+// Looks up an advert belonging to the signed-in user.
+function findOwnAdvert(req, res, callback) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  db.adverts.findOne({_id: mongojs.ObjectId(req.params.id)}, function(err, advert) {
+    if(err) {
+      console.log(err);
+    }
+    if(!advert || advert.userId !== userId) {
+      return res.status(404).send('Advert not found');
+    }
+    callback(advert);
+  });
+}
+
+// Replaces an advert's windows, refusing any change that would stop offering
+// a night somebody has already booked.
+function saveWindows(res, advert, newWindows) {
+  var advertId = advert._id.toHexString();
+  bookings.activeForAdvert(db, advertId, function(err, active) {
+    if(err) {
+      console.log(err);
+    }
+    var offered = windows.nightsOf(newWindows);
+    var stranded = new Availability(advert, active).bookedNights().filter(function(night) {
+      return offered.indexOf(night) === -1;
+    });
+    if(stranded.length) {
+      return renderConflict(res, 'These nights are already booked: ' + stranded.map(nights.toDateString).join(', ') + '.');
+    }
+    db.adverts.update({_id: advert._id}, {$set: {windows: newWindows}, $unset: {startDate: '', endDate: ''}}, function(err) {
+      if(err) {
+        console.log(err);
+      }
+      res.redirect('/adverts/' + advertId + '/edit');
+    });
+  });
+}
+
+function renderEditPage(req, res, advert, importError) {
+  bookings.activeForAdvert(db, advert._id.toHexString(), function(err, active) {
+    if(err) {
+      console.log(err);
+    }
+    calendars.ensureToken(db.adverts, advert, function(err, token) {
+      if(err) {
+        console.log(err);
+      }
+      res.status(importError ? 422 : 200).render('advert/edit', {
+        advert: advert,
+        windows: windows.of(advert),
+        calendar: new Availability(advert, active),
+        feedUrl: feedUrl(req, 'adverts', token),
+        importError: importError,
+        importedCalendars: calendars.importedFrom(advert),
+        defaultTimeZone: defaultTimeZone,
+        pricing: pricing,
+        discounts: discounts,
+        currencies: currencies,
+        nights: nights
+      });
+    });
+  });
+}
+
+app.get('/adverts/:id/edit', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    renderEditPage(req, res, advert, null);
+  });
+});
+
+app.post('/adverts/:id/windows', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    var added = windows.build(req.body.start, req.body.end);
+    if(!added) {
+      return res.redirect('/adverts/' + req.params.id + '/edit');
+    }
+    saveWindows(res, advert, windows.of(advert).concat([added]));
+  });
+});
+
+app.put('/adverts/:id/windows/:windowId', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    var edited = windows.build(req.body.start, req.body.end, req.params.windowId);
+    if(!edited) {
+      return res.redirect('/adverts/' + req.params.id + '/edit');
+    }
+    saveWindows(res, advert, windows.of(advert).map(function(window) {
+      return window.id === edited.id ? edited : window;
+    }));
+  });
+});
+
+app.delete('/adverts/:id/windows/:windowId', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    saveWindows(res, advert, windows.of(advert).filter(function(window) {
+      return window.id !== req.params.windowId;
+    }));
+  });
+});
+
+app.post('/adverts/:id/ical-token', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    calendars.regenerateToken(db.adverts, advert, function(err) {
+      if(err) {
+        console.log(err);
+      }
+      res.redirect('/adverts/' + req.params.id + '/edit');
+    });
+  });
+});
+
+// Blocked nights are kept apart from bookedNights so unblocking a night can
+// never free up a real booking. Only nights the advert offers are blocked.
+app.post('/adverts/:id/blocked', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    var start = nights.normalise(req.body.start);
+    var end = nights.normalise(req.body.end) || start;
+    var offered = {};
+    windows.nightsOf(windows.of(advert)).forEach(function(night) {
+      offered[night] = true;
+    });
+    var blocked = (start ? nights.range(start < end ? start : end, start < end ? end : start) : []).filter(function(night) {
+      return offered[night];
+    });
+    if(!blocked.length) {
+      return res.redirect('/adverts/' + req.params.id + '/edit');
+    }
+    db.adverts.findAndModify({
+      query: {_id: advert._id, bookedNights: {$nin: blocked}},
+      update: {$addToSet: {blockedNights: {$each: blocked}}},
+      new: true
+    }, function(err, updated) {
+      if(err) {
+        console.log(err);
+      }
+      if(!updated) {
+        return renderConflict(res, 'Some of those nights are already booked, so they can\'t be blocked.');
+      }
+      res.redirect('/adverts/' + req.params.id + '/edit');
+    });
+  });
+});
+
+app.delete('/adverts/:id/blocked/:night', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    db.adverts.update({_id: advert._id}, {$pull: {blockedNights: req.params.night}}, function(err) {
+      if(err) {
+        console.log(err);
+      }
+      res.redirect('/adverts/' + req.params.id + '/edit');
+    });
+  });
+});
+
+app.post('/adverts/:id/pricing', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    var rules = pricing.fromForm(req.body);
+    db.adverts.update({_id: advert._id}, {$set: {
+      'pricing.weekdayPrices': rules.weekdayPrices,
+      'pricing.weekendSurchargePercent': rules.weekendSurchargePercent,
+      // Bookings already made keep the deposit they were requested with.
+      deposit: pricing.money(req.body.deposit),
+      // Bookings already made keep the currency they were quoted in.
+      currency: currencies.codeNamed(req.body.currency)
+    }}, function(err) {
+      if(err) {
+        console.log(err);
+      }
+      res.redirect('/adverts/' + req.params.id + '/edit');
+    });
+  });
+});
+
+app.post('/adverts/:id/discounts', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    var tiers = discounts.fromForm(req.body.minNights, req.body.percent);
+    db.adverts.update({_id: advert._id}, {$set: {discounts: tiers}}, function(err) {
+      if(err) {
+        console.log(err);
+      }
+      res.redirect('/adverts/' + req.params.id + '/edit');
+    });
+  });
+});
+
+app.post('/adverts/:id/pricing/overrides', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    var override = pricing.buildOverride(req.body.start, req.body.end, req.body.price, req.body.label);
+    if(!override) {
+      return res.redirect('/adverts/' + req.params.id + '/edit');
+    }
+    db.adverts.update({_id: advert._id}, {$push: {'pricing.overrides': override}}, function(err) {
+      if(err) {
+        console.log(err);
+      }
+      res.redirect('/adverts/' + req.params.id + '/edit');
+    });
+  });
+});
+
+app.delete('/adverts/:id/pricing/overrides/:overrideId', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    db.adverts.update({_id: advert._id}, {$pull: {'pricing.overrides': {id: req.params.overrideId}}}, function(err) {
+      if(err) {
+        console.log(err);
+      }
+      res.redirect('/adverts/' + req.params.id + '/edit');
+    });
+  });
+});
+
+// Takes the calendar from the form, or from a file in the imports folder so a
+// host can import the same file again after it changes. Only the file's name
+// is used, so nothing outside that folder can be read. Each site the host
+// names, or each file, replaces only its own nights.
+app.post('/adverts/:id/calendar-import', function(req, res) {
+  findOwnAdvert(req, res, function(advert) {
+    var timeZone = (req.body.timeZone || '').trim() || defaultTimeZone;
+    var fileName = path.basename((req.body.path || '').trim());
+    var source = (req.body.source || '').trim() || fileName || 'Pasted calendar';
+    if(!ical.isTimeZone(timeZone)) {
+      return renderEditPage(req, res, advert, '"' + timeZone + '" isn\'t a time zone we know, try one like Europe/London.');
+    }
+    var readCalendar = function(callback) {
+      if(!fileName) {
+        return callback(null, req.body.calendar || '');
+      }
+      fs.readFile(path.join(importDir, fileName), 'utf8', callback);
+    };
+    readCalendar(function(err, text) {
+      if(err) {
+        return renderEditPage(req, res, advert, 'Couldn\'t read ' + fileName + ' from the imports folder.');
+      }
+      if(text.indexOf('BEGIN:VCALENDAR') === -1) {
+        return renderEditPage(req, res, advert, 'That doesn\'t look like an iCalendar (.ics) file.');
+      }
+      calendars.importInto(db, advert, text, {timeZone: timeZone, source: source, file: fileName || null}, function(err) {
+        if(err) {
+          console.log(err);
+        }
+        res.redirect('/adverts/' + req.params.id + '/edit');
+      });
+    });
+  });
+});
+
+// Admins keep the exchange-rate table that guests' display prices come from.
+// The signed-in user's account is looked up by id and its stored email
+// checked against the list, so an email typed into a form grants nothing.
+// Calls back with the admin's email, to record who made a change.
+function findAdmin(req, res, callback) {
+  var userId = req.session.userId;
+  if(!userId) {
+    return res.redirect('/sessions/new');
+  }
+  db.users.findOne({_id: mongojs.ObjectId(userId)}, function(err, user) {
+    if(err) {
+      console.log(err);
+    }
+    if(!user || adminEmails.indexOf(user.email) === -1) {
+      return res.status(403).send('Only admins can do that');
+    }
+    callback(user.email);
+  });
+}
+
+function renderExchangeRates(res, table, invalid) {
+  res.status(invalid.length ? 422 : 200).render('admin/exchangeRates', {
+    table: table,
+    invalid: invalid,
+    currencies: currencies
+  });
+}
+
+app.get('/admin/exchange-rates', function(req, res) {
+  findAdmin(req, res, function() {
+    currencies.load(db, function(err, table) {
+      if(err) {
+        console.log(err);
+      }
+      renderExchangeRates(res, table, []);
+    });
+  });
+});
+
+app.post('/admin/exchange-rates', function(req, res) {
+  findAdmin(req, res, function(adminEmail) {
+    var form = currencies.fromForm(req.body);
+    currencies.load(db, function(err, table) {
+      if(err) {
+        console.log(err);
+      }
+      if(form.invalid.length) {
+        Object.keys(form.rates).forEach(function(code) {
+          table.rates[code] = form.rates[code];
+        });
+        return renderExchangeRates(res, table, form.invalid);
+      }
+      currencies.save(db, form.rates, adminEmail, function(err) {
+        if(err) {
+          console.log(err);
+        }
+        res.redirect('/admin/exchange-rates');
+      });
+    });
+  });
+});
+
+function renderCoupons(res, values, errors) {
+  coupons.all(db, function(err, all) {
+    if(err) {
+      console.log(err);
+    }
+    res.status(Object.keys(errors).length ? 422 : 200).render('admin/coupons', {
+      coupons: all || [],
+      values: values,
+      errors: errors,
+      currencies: currencies,
+      nights: nights
+    });
+  });
+}
+
+app.get('/admin/coupons', function(req, res) {
+  findAdmin(req, res, function() {
+    renderCoupons(res, {}, {});
+  });
+});
+
+// Coupons can be kept to certain hosts, named on the form by username.
+app.post('/admin/coupons', function(req, res) {
+  findAdmin(req, res, function(adminEmail) {
+    var usernames = String(req.body.hostUsernames || '').split(/[\s,]+/).filter(Boolean);
+    db.users.find({username: {$in: usernames}}, function(err, hosts) {
+      if(err) {
+        console.log(err);
+      }
+      hosts = hosts || [];
+      var form = coupons.fromForm(req.body, hosts.map(function(host) {
+        return host._id.toHexString();
+      }));
+      var unknown = usernames.filter(function(username) {
+        return !hosts.some(function(host) { return host.username === username; });
+      });
+      if(unknown.length) {
+        form.errors.hostUsernames = 'There are no hosts called ' + unknown.join(', ') + '.';
+      }
+      if(Object.keys(form.errors).length) {
+        return renderCoupons(res, req.body, form.errors);
+      }
+      coupons.create(db, form.coupon, adminEmail, function(err, created, taken) {
+        if(err) {
+          console.log(err);
+        }
+        if(taken) {
+          return renderCoupons(res, req.body, {code: taken});
+        }
+        res.redirect('/admin/coupons');
+      });
+    });
+  });
+});
+
+function renderClaims(res, errors) {
+  deposits.disputes(db, function(err, claims) {
+    if(err) {
+      console.log(err);
+    }
+    claims = claims || [];
+    db.adverts.find({_id: {$in: claims.map(function(booking) {
+      return mongojs.ObjectId(booking.advertId);
+    })}}, function(err, adverts) {
+      if(err) {
+        console.log(err);
+      }
+      var advertsById = {};
+      (adverts || []).forEach(function(advert) {
+        advertsById[advert._id] = advert;
+      });
+      res.status(Object.keys(errors).length ? 422 : 200).render('admin/claims', {
+        claims: claims,
+        advertsById: advertsById,
+        errors: errors,
+        currencies: currencies,
+        nights: nights
+      });
+    });
+  });
+}
+
+app.get('/admin/claims', function(req, res) {
+  findAdmin(req, res, function() {
+    renderClaims(res, {});
+  });
+});
+
+app.post('/admin/claims/:id', function(req, res) {
+  findAdmin(req, res, function(adminEmail) {
+    db.bookings.findOne({_id: mongojs.ObjectId(req.params.id)}, function(err, booking) {
+      if(err) {
+        console.log(err);
+      }
+      if(!booking || !booking.deposit || !booking.deposit.claim) {
+        return res.status(404).send('Claim not found');
+      }
+      deposits.resolve(db, booking, req.body.awarded, req.body.note, adminEmail, function(err, resolved, invalid) {
+        if(err) {
+          console.log(err);
+        }
+        if(invalid) {
+          var errors = {};
+          errors[req.params.id] = invalid;
+          return renderClaims(res, errors);
+        }
+        if(!resolved) {
+          return renderConflict(res, 'This claim has already been settled.');
+        }
+        settleDeposit(resolved, function() {
+          res.redirect('/admin/claims');
+        });
+      });
+    });
+  });
+});
+
+app.get('/admin/payouts', function(req, res) {
+  findAdmin(req, res, function() {
+    payouts.runs(db, function(err, runs) {
+      if(err) {
+        console.log(err);
+      }
+      res.render('admin/payouts', {
+        runs: runs || [],
+        describeTotals: payouts.describeTotals,
+        nights: nights
+      });
+    });
+  });
+});
+
+app.get('/admin/payouts/:id.csv', function(req, res) {
+  findAdmin(req, res, function() {
+    db.payoutRuns.findOne({_id: mongojs.ObjectId(req.params.id)}, function(err, payoutRun) {
+      if(err) {
+        console.log(err);
+      }
+      if(!payoutRun) {
+        return res.status(404).send('Payout run not found');
+      }
+      db.payouts.find({runId: req.params.id}).sort({hostId: 1}, function(err, reports) {
+        if(err) {
+          console.log(err);
+        }
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="payouts-' + payoutRun.number + '.csv"');
+        res.send(payouts.csv(payoutRun, reports || []));
+      });
+    });
+  });
+});
+
 
 //
 // module.exports = app;
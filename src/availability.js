@@ -0,0 +1,106 @@
+var nights = require('./nights');
+var windows = require('./windows');
+var nightsOf = require('./bookings').nightsOf;
+
+// Night-by-night view of one advert: the nights its owner offers in any of
+// its availability windows, the nights its owner has blocked or imported as
+// taken from another site's calendar, the nights
+// held by pending requests and the nights taken by approved bookings.
+// Pending requests don't take a night off the market; only approval does.
+function Availability(advert, bookings) {
+  var self = this;
+  this._offered = {};
+  this._pending = {};
+  this._booked = {};
+  this._blocked = {};
+  this._imported = {};
+
+  windows.nightsOf(windows.of(advert)).forEach(function(night) {
+    self._offered[night] = true;
+  });
+
+  (advert.blockedNights || []).forEach(function(night) {
+    self._blocked[night] = true;
+  });
+
+  Object.keys(advert.importedCalendars || {}).forEach(function(key) {
+    advert.importedCalendars[key].nights.forEach(function(night) {
+      self._imported[night] = true;
+    });
+  });
+
+  (advert.bookedNights || []).forEach(function(night) {
+    self._booked[night] = true;
+  });
+
+  (bookings || []).forEach(function(booking) {
+    nightsOf(booking).forEach(function(night) {
+      if (booking.status === 'approved') {
+        self._booked[night] = true;
+      } else if (booking.status === 'pending') {
+        self._pending[night] = (self._pending[night] || 0) + 1;
+      }
+    });
+  });
+}
+
+// One of 'unavailable', 'booked', 'blocked', 'pending' or 'free'.
+Availability.prototype.status = function(night) {
+  if (!this._offered[night]) {
+    return 'unavailable';
+  }
+  if (this._booked[night]) {
+    return 'booked';
+  }
+  if (this._blocked[night] || this._imported[night]) {
+    return 'blocked';
+  }
+  return this._pending[night] ? 'pending' : 'free';
+};
+
+Availability.prototype.isFree = function(night) {
+  var status = this.status(night);
+  return status === 'free' || status === 'pending';
+};
+
+Availability.prototype.freeNights = function(first, last) {
+  return nights.range(first, last).filter(this.isFree, this);
+};
+
+// The nights of a stay that can't be requested.
+Availability.prototype.unavailableNights = function(stayNights) {
+  var self = this;
+  return stayNights.filter(function(night) {
+    return !self.isFree(night);
+  });
+};
+
+Availability.prototype.offeredNights = function() {
+  return Object.keys(this._offered).sort();
+};
+
+Availability.prototype.pendingNights = function() {
+  return Object.keys(this._pending).sort();
+};
+
+Availability.prototype.bookedNights = function() {
+  return Object.keys(this._booked).sort();
+};
+
+// Offered nights the host has taken off the market themselves.
+Availability.prototype.blockedNights = function() {
+  var self = this;
+  return Object.keys(this._blocked).filter(function(night) {
+    return self.status(night) === 'blocked';
+  }).sort();
+};
+
+// Offered nights taken by events in a calendar imported from another site.
+Availability.prototype.importedNights = function() {
+  var self = this;
+  return Object.keys(this._imported).filter(function(night) {
+    return self.status(night) === 'blocked';
+  }).sort();
+};
+
+module.exports = Availability;
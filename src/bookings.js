@@ -0,0 +1,235 @@
+var mongojs = require('mongojs');
+var refunds = require('./refunds');
+
+// A booking request starts out pending and is then approved or denied by
+// the advert's owner, cancelled, or expires when the owner doesn't answer in
+// time. Nothing leaves a final state.
+var TRANSITIONS = {
+  pending: ['approved', 'denied', 'cancelled', 'expired'],
+  approved: ['cancelled'],
+  denied: [],
+  cancelled: [],
+  expired: []
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).indexOf(to) !== -1;
+}
+
+function sourcesOf(status) {
+  return Object.keys(TRANSITIONS).filter(function(from) {
+    return canTransition(from, status);
+  });
+}
+
+// Bookings made before multi-night stays hold a single `night`.
+function nightsOf(booking) {
+  return booking.nights || [booking.night];
+}
+
+// `totalPrice` is in the advert's `currency`. When the guest was shown the
+// price in another currency, `exchange` records the rate they saw it at, and
+// `coupon` is {couponId, code, amount} when they redeemed one.
+function request(db, details, callback) {
+  var now = new Date();
+  var booking = {
+    advertId: details.advertId,
+    hostId: details.hostId,
+    guestId: details.guestId,
+    guestUsername: details.guestUsername,
+    checkIn: details.checkIn,
+    checkOut: details.checkOut,
+    nights: details.nights,
+    guests: details.guests,
+    quote: details.quote,
+    totalPrice: details.quote.total,
+    currency: details.quote.currency,
+    exchange: details.exchange || null,
+    coupon: details.coupon || null,
+    deposit: details.deposit || null,
+    cancellationPolicy: refunds.policyNamed(details.cancellationPolicy),
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now
+  };
+  db.bookings.insert(booking, callback);
+}
+
+// Moves a booking to `status` only if it is still in a state that allows it,
+// so two owners' clicks can't both decide the same request. Calls back with
+// null when the booking had already moved on.
+function transition(db, bookingId, status, callback) {
+  db.bookings.findAndModify({
+    query: {_id: mongojs.ObjectId(bookingId), status: {$in: sourcesOf(status)}},
+    update: {$set: {status: status, updatedAt: new Date()}},
+    new: true
+  }, function(err, booking) {
+    callback(err, booking || null);
+  });
+}
+
+// Approves a pending request. Its nights are first claimed on the advert
+// with a single conditional write, so however many approvals race for the
+// same nights exactly one of them succeeds, and none can take a night the
+// host has blocked or imported from another site's calendar.
+// Every other pending request overlapping those nights is then denied.
+// Calls back with null when the request could not be approved, either
+// because one of its nights was already taken or because the request is no
+// longer pending.
+function approve(db, bookingId, callback) {
+  db.bookings.findOne({_id: mongojs.ObjectId(bookingId), status: 'pending'}, function(err, booking) {
+    if (err || !booking) {
+      return callback(err, null);
+    }
+    var stayNights = nightsOf(booking);
+    db.adverts.findOne({_id: mongojs.ObjectId(booking.advertId)}, function(err, advert) {
+      if (err || !advert) {
+        return callback(err, null);
+      }
+      var query = {
+        _id: advert._id,
+        bookedNights: {$nin: stayNights},
+        blockedNights: {$nin: stayNights}
+      };
+      Object.keys(advert.importedCalendars || {}).forEach(function(key) {
+        query['importedCalendars.' + key + '.nights'] = {$nin: stayNights};
+      });
+      db.adverts.findAndModify({
+        query: query,
+        update: {$push: {bookedNights: {$each: stayNights}}},
+        new: true
+      }, function(err, claimed) {
+        if (err || !claimed) {
+          return callback(err, null);
+        }
+        transition(db, bookingId, 'approved', function(err, approved) {
+          if (err || !approved) {
+            return release(db, booking, function(releaseErr) {
+              callback(err || releaseErr, null);
+            });
+          }
+          db.bookings.update({
+            advertId: approved.advertId,
+            status: 'pending',
+            $or: [{nights: {$in: stayNights}}, {night: {$in: stayNights}}]
+          }, {
+            $set: {status: 'denied', updatedAt: new Date()}
+          }, {multi: true}, function(err) {
+            callback(err, approved);
+          });
+        });
+      });
+    });
+  });
+}
+
+// Gives a booking's nights back to its advert.
+function release(db, booking, callback) {
+  db.adverts.update({_id: mongojs.ObjectId(booking.advertId)}, {$pull: {bookedNights: {$in: nightsOf(booking)}}}, callback);
+}
+
+// Approves an Instant Book request without waiting for its host. A request
+// whose nights were taken in the meantime is withdrawn by the site, as
+// `cancelledBy: 'system'`, rather than left pending. Calls back with the
+// approved booking, or with null and the withdrawn one.
+function bookInstantly(db, bookingId, callback) {
+  approve(db, bookingId, function(err, approved) {
+    if (err || approved) {
+      return callback(err, approved);
+    }
+    cancel(db, bookingId, 'system', function(err, withdrawn) {
+      callback(err, null, withdrawn);
+    });
+  });
+}
+
+// Cancels a booking on behalf of its guest, its host or the site. Approved
+// bookings are refunded under the cancellation policy they were made with
+// and their nights go back on the market; pending requests are simply
+// withdrawn.
+// Calls back with null when the booking can no longer be cancelled.
+function cancel(db, bookingId, cancelledBy, callback) {
+  db.bookings.findOne({_id: mongojs.ObjectId(bookingId), status: {$in: sourcesOf('cancelled')}}, function(err, booking) {
+    if (err || !booking) {
+      return callback(err, null);
+    }
+    var now = new Date();
+    var wasApproved = booking.status === 'approved';
+    if (wasApproved && !refunds.canCancel(booking.checkIn || booking.night, now)) {
+      return callback(null, null);
+    }
+    var changes = {status: 'cancelled', cancelledBy: cancelledBy, updatedAt: now};
+    if (wasApproved) {
+      changes.refund = refunds.calculate({
+        policy: booking.cancellationPolicy,
+        amount: booking.totalPrice || 0,
+        checkIn: booking.checkIn || booking.night,
+        cancelledBy: cancelledBy,
+        when: now
+      });
+    }
+    db.bookings.findAndModify({
+      query: {_id: booking._id, status: booking.status},
+      update: {$set: changes},
+      new: true
+    }, function(err, cancelled) {
+      if (err || !cancelled || !wasApproved) {
+        return callback(err, cancelled || null);
+      }
+      release(db, cancelled, function(err) {
+        callback(err, cancelled);
+      });
+    });
+  });
+}
+
+// Bookings for any of the given adverts in one of `statuses`, grouped by
+// status, oldest first.
+function forAdverts(db, advertIds, statuses, callback) {
+  db.bookings.find({advertId: {$in: advertIds}, status: {$in: statuses}}).sort({createdAt: 1}, function(err, docs) {
+    if (err) {
+      return callback(err);
+    }
+    var byStatus = {};
+    statuses.forEach(function(status) {
+      byStatus[status] = [];
+    });
+    docs.forEach(function(booking) {
+      byStatus[booking.status].push(booking);
+    });
+    callback(null, byStatus);
+  });
+}
+
+// Pending and approved bookings are the ones that shape an advert's availability.
+var ACTIVE_STATUSES = ['pending', 'approved'];
+
+function activeForAdvert(db, advertId, callback) {
+  db.bookings.find({advertId: advertId, status: {$in: ACTIVE_STATUSES}}, callback);
+}
+
+function activeByAdvert(db, callback) {
+  db.bookings.find({status: {$in: ACTIVE_STATUSES}}, function(err, docs) {
+    if (err) {
+      return callback(err);
+    }
+    var byAdvert = {};
+    docs.forEach(function(booking) {
+      (byAdvert[booking.advertId] = byAdvert[booking.advertId] || []).push(booking);
+    });
+    callback(null, byAdvert);
+  });
+}
+
+module.exports = {
+  canTransition: canTransition,
+  nightsOf: nightsOf,
+  request: request,
+  transition: transition,
+  approve: approve,
+  bookInstantly: bookInstantly,
+  cancel: cancel,
+  forAdverts: forAdverts,
+  activeForAdvert: activeForAdvert,
+  activeByAdvert: activeByAdvert
+};
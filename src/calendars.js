@@ -0,0 +1,145 @@
+var crypto = require('crypto');
+var bookings = require('./bookings');
+var currencies = require('./currencies');
+var ical = require('./ical');
+var nights = require('./nights');
+
+// Secret tokens in calendar feed URLs. Anyone holding the URL can read the
+// feed, so hosts can swap the token for a new one to shut out the old URL.
+function newToken() {
+  return crypto.randomBytes(20).toString('hex');
+}
+
+// Hands back `doc`'s feed token, giving it one first if it has none yet.
+function ensureToken(collection, doc, callback) {
+  if (doc.icalToken) {
+    return callback(null, doc.icalToken);
+  }
+  regenerateToken(collection, doc, callback);
+}
+
+function regenerateToken(collection, doc, callback) {
+  var token = newToken();
+  collection.update({_id: doc._id}, {$set: {icalToken: token}}, function(err) {
+    callback(err, token);
+  });
+}
+
+// Approved bookings and blocked or imported nights of one advert as calendar events.
+function eventsFor(advert, approved) {
+  var advertId = advert._id.toString();
+  var events = approved.map(function(booking) {
+    var stayNights = bookings.nightsOf(booking);
+    return {
+      uid: 'booking-' + booking._id + '@makersbnb',
+      start: stayNights[0],
+      end: nights.addDays(stayNights[stayNights.length - 1], 1),
+      summary: advert.name + ': booked by ' + booking.guestUsername,
+      description: stayNights.length + ' nights, ' + currencies.format(booking.totalPrice, currencies.of(booking))
+    };
+  });
+  ical.runsOf((advert.blockedNights || []).concat(importedNights(advert))).forEach(function(run) {
+    events.push({
+      uid: 'blocked-' + advertId + '-' + run.start + '@makersbnb',
+      start: run.start,
+      end: run.end,
+      summary: advert.name + ': blocked'
+    });
+  });
+  return events;
+}
+
+// Imported calendars are kept in `advert.importedCalendars`, one for each
+// site the host lists on, under a key made from its source's name since
+// names such as 'airbnb.ics' can't be field names.
+function sourceKey(source) {
+  return crypto.createHash('sha1').update(source).digest('hex');
+}
+
+// Every calendar an advert has imported, by source.
+function importedFrom(advert) {
+  var imported = advert.importedCalendars || {};
+  return Object.keys(imported).map(function(key) {
+    return imported[key];
+  }).sort(function(a, b) {
+    return a.source < b.source ? -1 : (a.source > b.source ? 1 : 0);
+  });
+}
+
+// The nights taken on any of an advert's imported calendars.
+function importedNights(advert) {
+  var taken = {};
+  importedFrom(advert).forEach(function(imported) {
+    imported.nights.forEach(function(night) {
+      taken[night] = true;
+    });
+  });
+  return Object.keys(taken).sort();
+}
+
+// Replaces the nights an advert last imported from `options.source` with the
+// nights taken by the events in `text`, worked out in `options.timeZone`.
+// Calendars from other sources are left as they are. Imported nights are
+// kept apart from the host's own blocked nights and from bookedNights, so a
+// re-import can add, move or drop them without touching either. Past nights
+// are left out. Calls back with the import, which is stored on the advert
+// with a summary: `options.file` to import it again from, the number of
+// events and any nights already booked here.
+function importInto(db, advert, text, options, callback) {
+  var today = nights.of();
+  var events = ical.parse(text, {
+    timeZone: options.timeZone,
+    from: today,
+    until: nights.addMonths(today, 24)
+  });
+  var imported = {};
+  events.forEach(function(event) {
+    event.nights.forEach(function(night) {
+      imported[night] = true;
+    });
+  });
+  var taken = Object.keys(imported).sort();
+  var calendar = {
+    source: options.source,
+    file: options.file || null,
+    timeZone: options.timeZone,
+    importedAt: new Date(),
+    events: events.length,
+    nights: taken,
+    alreadyBooked: taken.filter(function(night) {
+      return (advert.bookedNights || []).indexOf(night) !== -1;
+    })
+  };
+  var update = {};
+  update['importedCalendars.' + sourceKey(options.source)] = calendar;
+  db.adverts.update({_id: advert._id}, {$set: update}, function(err) {
+    callback(err, calendar);
+  });
+}
+
+// One calendar covering every given advert.
+function feed(name, adverts, approved) {
+  var byAdvert = {};
+  approved.forEach(function(booking) {
+    (byAdvert[booking.advertId] = byAdvert[booking.advertId] || []).push(booking);
+  });
+  var events = [];
+  adverts.forEach(function(advert) {
+    events = events.concat(eventsFor(advert, byAdvert[advert._id] || []));
+  });
+  events.sort(function(a, b) {
+    return a.start < b.start ? -1 : (a.start > b.start ? 1 : 0);
+  });
+  return ical.exportCalendar(name, events);
+}
+
+module.exports = {
+  newToken: newToken,
+  ensureToken: ensureToken,
+  regenerateToken: regenerateToken,
+  eventsFor: eventsFor,
+  importedFrom: importedFrom,
+  importedNights: importedNights,
+  importInto: importInto,
+  feed: feed
+};
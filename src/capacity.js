@@ -0,0 +1,115 @@
+var currencies = require('./currencies');
+
+// How many people an advert sleeps and what it sleeps them in: maxGuests,
+// bedrooms, beds and bathrooms. Hosts can also charge extraGuestFee a night
+// for each guest over baseGuests. Anything left blank is simply not shown,
+// and an advert with no maxGuests takes parties of any size.
+
+function toCount(value, least) {
+  var number = parseInt(value, 10);
+  return isNaN(number) || number < least ? null : number;
+}
+
+// Bathrooms come in halves for a loo without a shower or bath.
+function toBathrooms(value) {
+  var number = parseFloat(value);
+  return isNaN(number) || number < 0 ? null : Math.round(number * 2) / 2;
+}
+
+function toFee(value) {
+  var number = parseFloat(value);
+  return isNaN(number) || number <= 0 ? null : Math.round(number * 100) / 100;
+}
+
+function fromForm(body) {
+  return {
+    maxGuests: toCount(body.advertMaxGuests, 1),
+    bedrooms: toCount(body.advertBedrooms, 0),
+    beds: toCount(body.advertBeds, 0),
+    bathrooms: toBathrooms(body.advertBathrooms),
+    baseGuests: toCount(body.advertBaseGuests, 1),
+    extraGuestFee: toFee(body.advertExtraGuestFee)
+  };
+}
+
+// The party size on a booking form, or 1 when the form didn't ask.
+function guestsFrom(value) {
+  if (value === undefined || value === '') {
+    return 1;
+  }
+  return /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN;
+}
+
+function plural(count, word) {
+  return count + ' ' + word + (count === 1 ? '' : 's');
+}
+
+// Checks a party size against an advert's capacity, calling out the guests
+// field when it won't do. Returns an empty object when it is fine.
+function check(capacity, guests) {
+  capacity = capacity || {};
+  var errors = {};
+  if (!(guests >= 1)) {
+    errors.guests = 'Please say how many guests are coming.';
+  } else if (capacity.maxGuests && guests > capacity.maxGuests) {
+    errors.guests = 'This place sleeps at most ' + plural(capacity.maxGuests, 'guest') + '.';
+  }
+  return errors;
+}
+
+// Guests beyond those the nightly price covers.
+function extraGuests(capacity, guests) {
+  capacity = capacity || {};
+  if (!capacity.extraGuestFee || !capacity.baseGuests) {
+    return 0;
+  }
+  return Math.max(0, guests - capacity.baseGuests);
+}
+
+function extraGuestFee(capacity, guests, nightCount) {
+  var extra = extraGuests(capacity, guests);
+  return extra ? Math.round(capacity.extraGuestFee * extra * nightCount * 100) / 100 : 0;
+}
+
+// Short description of an advert's capacity for listing cards, e.g.
+// ['sleeps 4', '2 bedrooms', '3 beds', '1.5 bathrooms'].
+function describe(capacity) {
+  capacity = capacity || {};
+  var parts = [];
+  if (capacity.maxGuests) {
+    parts.push('sleeps ' + capacity.maxGuests);
+  }
+  if (capacity.bedrooms !== null && capacity.bedrooms !== undefined) {
+    parts.push(capacity.bedrooms === 0 ? 'studio' : plural(capacity.bedrooms, 'bedroom'));
+  }
+  if (capacity.beds) {
+    parts.push(plural(capacity.beds, 'bed'));
+  }
+  if (capacity.bathrooms) {
+    parts.push(plural(capacity.bathrooms, 'bathroom'));
+  }
+  return parts;
+}
+
+// The extra-guest fee as a guest would read it, or null when there is none.
+// `formatAmount` shows the fee in the guest's currency; pounds by default.
+function describeFee(capacity, formatAmount) {
+  capacity = capacity || {};
+  formatAmount = formatAmount || function(amount) {
+    return currencies.format(amount, currencies.BASE_CURRENCY);
+  };
+  if (!capacity.extraGuestFee || !capacity.baseGuests) {
+    return null;
+  }
+  return formatAmount(capacity.extraGuestFee) + ' a night for each guest over ' + capacity.baseGuests;
+}
+
+module.exports = {
+  fromForm: fromForm,
+  guestsFrom: guestsFrom,
+  check: check,
+  extraGuests: extraGuests,
+  extraGuestFee: extraGuestFee,
+  describe: describe,
+  describeFee: describeFee
+};
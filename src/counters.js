@@ -0,0 +1,24 @@
+// Sequences for numbering paperwork, kept in the `settings` collection. Each
+// number is handed out by a single atomic increment, so no two documents
+// ever share one.
+
+function next(db, name, callback) {
+  db.settings.findAndModify({
+    query: {_id: 'counter:' + name},
+    update: {$inc: {value: 1}},
+    upsert: true,
+    new: true
+  }, function(err, counter) {
+    callback(err, counter ? counter.value : null);
+  });
+}
+
+// Numbers as printed, e.g. label('R', 42) is 'R-000042'.
+function label(prefix, number) {
+  return prefix + '-' + ('000000' + number).slice(-6);
+}
+
+module.exports = {
+  next: next,
+  label: label
+};
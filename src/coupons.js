@@ -0,0 +1,238 @@
+var mongojs = require('mongojs');
+var currencies = require('./currencies');
+var nights = require('./nights');
+var pricing = require('./pricing');
+
+// Promo codes admins create for campaigns. A coupon takes either a
+// percentage or a fixed amount off what the guest pays; the site funds it,
+// so the host's payout doesn't change. Any of these limits can be left off:
+// expiresOn (the last day it can be used), maxUses, perGuestLimit, minNights,
+// and advertIds or hostIds to keep it to certain listings.
+//
+// Each coupon counts its uses in `uses` and, per guest, in `usesBy`. Using a
+// coupon is a single conditional write on those counters, so however many
+// guests redeem a code at once its limits hold. A use is given back when the
+// request it came with never becomes a stay: declined, expired or withdrawn.
+
+function toLimit(value) {
+  var number = parseInt(value, 10);
+  return isNaN(number) || number < 1 ? null : number;
+}
+
+function normalise(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Reads the admin's new-coupon form into {coupon, errors}, with errors keyed
+// by field. `hostIds` are looked up from the usernames on the form by the
+// caller.
+function fromForm(body, hostIds) {
+  var errors = {};
+  var code = normalise(body.code);
+  if (!/^[A-Z0-9-]{3,20}$/.test(code)) {
+    errors.code = 'Codes are 3 to 20 letters, numbers or dashes.';
+  }
+  var kind = body.kind === 'fixed' ? 'fixed' : 'percent';
+  var value = kind === 'fixed' ? pricing.money(body.value) : parseFloat(body.value);
+  if (kind === 'percent' && !(value >= 1 && value <= 100)) {
+    errors.value = 'A percentage off must be between 1 and 100.';
+  } else if (kind === 'fixed' && !value) {
+    errors.value = 'Please give the amount off.';
+  }
+  var expiresOn = body.expiresOn ? nights.normalise(body.expiresOn) : null;
+  if (body.expiresOn && !expiresOn) {
+    errors.expiresOn = 'Please give the last day the code can be used.';
+  }
+  return {
+    coupon: {
+      code: code,
+      kind: kind,
+      value: value,
+      currency: kind === 'fixed' ? currencies.codeNamed(body.currency) : null,
+      expiresOn: expiresOn,
+      maxUses: toLimit(body.maxUses),
+      perGuestLimit: toLimit(body.perGuestLimit),
+      minNights: toLimit(body.minNights),
+      advertIds: String(body.advertIds || '').split(/[\s,]+/).filter(Boolean),
+      hostIds: hostIds || []
+    },
+    errors: errors
+  };
+}
+
+var TAKEN = 'There is already a coupon with that code.';
+
+// Stores a new coupon, or calls back with a message when its code is taken.
+// The coupon is only written if no coupon has its code, in a single upsert,
+// and codes are kept unique by an index (see `createIndexes`) as well, so two
+// admins creating the same code at once can't both succeed.
+function create(db, coupon, createdBy, callback) {
+  var fields = {};
+  Object.keys(coupon).forEach(function(key) {
+    if (key !== 'code') {
+      fields[key] = coupon[key];
+    }
+  });
+  fields.uses = 0;
+  fields.usesBy = {};
+  fields.createdBy = createdBy;
+  fields.createdAt = new Date();
+  db.coupons.findAndModify({
+    query: {code: coupon.code},
+    update: {$setOnInsert: fields},
+    upsert: true,
+    new: true
+  }, function(err, created, lastErrorObject) {
+    if (err && err.code === 11000) {
+      return callback(null, null, TAKEN);
+    }
+    if (err || (lastErrorObject && lastErrorObject.updatedExisting)) {
+      return callback(err, null, err ? null : TAKEN);
+    }
+    callback(null, created, null);
+  });
+}
+
+function createIndexes(db, callback) {
+  db.coupons.createIndex({code: 1}, {unique: true}, callback);
+}
+
+function find(db, code, callback) {
+  code = normalise(code);
+  if (!code) {
+    return callback(null, null);
+  }
+  db.coupons.findOne({code: code}, callback);
+}
+
+function all(db, callback) {
+  db.coupons.find({}).sort({createdAt: -1}, callback);
+}
+
+// Why a coupon can't be used on a stay, or null when it can. `stay` is
+// {advert, guestId, nightCount, when}. The usage limits are checked again
+// when the coupon is redeemed.
+function check(coupon, stay) {
+  if (!coupon) {
+    return 'We don\'t recognise that code.';
+  }
+  if (coupon.expiresOn && coupon.expiresOn < nights.of(stay.when)) {
+    return 'That code has expired.';
+  }
+  if (coupon.minNights && stay.nightCount < coupon.minNights) {
+    return 'That code is for stays of ' + coupon.minNights + ' nights or more.';
+  }
+  var advertId = stay.advert._id.toString();
+  if ((coupon.advertIds.length || coupon.hostIds.length) &&
+      coupon.advertIds.indexOf(advertId) === -1 && coupon.hostIds.indexOf(stay.advert.userId) === -1) {
+    return 'That code can\'t be used on this listing.';
+  }
+  if (coupon.maxUses && coupon.uses >= coupon.maxUses) {
+    return 'That code has been used up.';
+  }
+  if (coupon.perGuestLimit && (coupon.usesBy[stay.guestId] || 0) >= coupon.perGuestLimit) {
+    return 'You\'ve already used that code.';
+  }
+  return null;
+}
+
+// What a quote needs to know about a coupon: {code, percent} or
+// {code, amount}, with a fixed amount converted to the advert's currency.
+function forQuote(coupon, currency, table) {
+  if (coupon.kind === 'percent') {
+    return {code: coupon.code, percent: coupon.value};
+  }
+  return {code: coupon.code, amount: currencies.convert(coupon.value, coupon.currency, currency, table)};
+}
+
+// Uses a coupon for a guest, provided that still leaves it within its
+// limits. Calls back with the updated coupon, or null when it had run out.
+function redeem(db, coupon, guestId, callback) {
+  var query = {_id: coupon._id};
+  var counts = {uses: 1};
+  counts['usesBy.' + guestId] = 1;
+  if (coupon.maxUses) {
+    query.uses = {$lt: coupon.maxUses};
+  }
+  if (coupon.perGuestLimit) {
+    query['usesBy.' + guestId] = {$not: {$gte: coupon.perGuestLimit}};
+  }
+  db.coupons.findAndModify({query: query, update: {$inc: counts}, new: true}, function(err, redeemed) {
+    callback(err, redeemed || null);
+  });
+}
+
+// Takes back a guest's use of a coupon, as when their request couldn't be
+// stored after the coupon was redeemed for it.
+function unredeem(db, couponId, guestId, callback) {
+  var counts = {uses: -1};
+  counts['usesBy.' + guestId] = -1;
+  db.coupons.update({_id: mongojs.ObjectId(couponId)}, {$inc: counts}, callback);
+}
+
+// Bookings whose coupon use should go back: requests that were declined,
+// expired or withdrawn before approval. Cancelling an approved stay, which
+// is refunded, keeps the use.
+var UNUSED = {
+  'coupon.couponId': {$exists: true},
+  'coupon.released': {$ne: true},
+  $or: [
+    {status: {$in: ['denied', 'expired']}},
+    {status: 'cancelled', refund: {$exists: false}}
+  ]
+};
+
+// Gives a booking's coupon use back if its request never became a stay.
+// Marking the booking first means each use is only given back once.
+function release(db, booking, callback) {
+  var query = {_id: booking._id};
+  Object.keys(UNUSED).forEach(function(key) {
+    query[key] = UNUSED[key];
+  });
+  db.bookings.findAndModify({query: query, update: {$set: {'coupon.released': true}}, new: true}, function(err, released) {
+    if (err || !released) {
+      return callback(err, null);
+    }
+    unredeem(db, released.coupon.couponId, released.guestId, function(err) {
+      callback(err, released);
+    });
+  });
+}
+
+// Releases every coupon use still held by a request that didn't go ahead,
+// including those denied when an overlapping request was approved.
+function sweep(db, callback) {
+  db.bookings.find(UNUSED, function(err, unused) {
+    if (err || !unused.length) {
+      return callback(err, []);
+    }
+    var released = [];
+    var remaining = unused.length;
+    unused.forEach(function(booking) {
+      release(db, booking, function(failure, done) {
+        err = err || failure;
+        if (done) {
+          released.push(done);
+        }
+        if (--remaining === 0) {
+          callback(err, released);
+        }
+      });
+    });
+  });
+}
+
+module.exports = {
+  normalise: normalise,
+  fromForm: fromForm,
+  create: create,
+  createIndexes: createIndexes,
+  find: find,
+  all: all,
+  check: check,
+  forQuote: forQuote,
+  redeem: redeem,
+  unredeem: unredeem,
+  release: release,
+  sweep: sweep
+};
@@ -0,0 +1,150 @@
+// Hosts price their adverts in a currency of their own and guests can see
+// prices in another. Conversions go through a table of exchange rates kept
+// in the database, as the number of units of each currency one pound buys,
+// which an admin updates by hand; until they do, DEFAULT_RATES apply.
+
+var CURRENCIES = {
+  GBP: {symbol: '£', name: 'Pound sterling'},
+  EUR: {symbol: '€', name: 'Euro'},
+  USD: {symbol: '$', name: 'US dollar'},
+  CAD: {symbol: 'CA$', name: 'Canadian dollar'},
+  AUD: {symbol: 'A$', name: 'Australian dollar'},
+  CHF: {symbol: 'CHF ', name: 'Swiss franc'},
+  JPY: {symbol: '¥', name: 'Japanese yen'}
+};
+
+var BASE_CURRENCY = 'GBP';
+
+var DEFAULT_RATES = {
+  GBP: 1,
+  EUR: 1.17,
+  USD: 1.27,
+  CAD: 1.73,
+  AUD: 1.93,
+  CHF: 1.12,
+  JPY: 188
+};
+
+var TABLE_ID = 'exchangeRates';
+
+// Unknown or missing currencies, as on adverts and bookings made before
+// hosts could choose, are pounds.
+function codeNamed(code) {
+  code = String(code || '').toUpperCase();
+  return CURRENCIES[code] ? code : BASE_CURRENCY;
+}
+
+// The currency a booking was priced in.
+function of(booking) {
+  return codeNamed(booking.currency || (booking.quote && booking.quote.currency));
+}
+
+function format(amount, code) {
+  code = codeNamed(code);
+  var places = code === 'JPY' ? 0 : 2;
+  var sign = amount < 0 ? '-' : '';
+  return sign + CURRENCIES[code].symbol + Math.abs(Number(amount) || 0).toFixed(places);
+}
+
+// The exchange-rate table: {rates, updatedAt, updatedBy}.
+function load(db, callback) {
+  db.settings.findOne({_id: TABLE_ID}, function(err, table) {
+    if (err) {
+      return callback(err);
+    }
+    var rates = {};
+    Object.keys(CURRENCIES).forEach(function(code) {
+      rates[code] = table && table.rates[code] > 0 ? table.rates[code] : DEFAULT_RATES[code];
+    });
+    rates[BASE_CURRENCY] = 1;
+    callback(null, {
+      rates: rates,
+      updatedAt: table ? table.updatedAt : null,
+      updatedBy: table ? table.updatedBy : null
+    });
+  });
+}
+
+// Reads the admin's rate form, one `rate_<code>` field per currency.
+// Returns the rates and a list of the currencies given a rate that isn't a
+// positive number.
+function fromForm(body) {
+  var rates = {};
+  var invalid = [];
+  Object.keys(CURRENCIES).forEach(function(code) {
+    if (code === BASE_CURRENCY) {
+      return;
+    }
+    var rate = parseFloat(body['rate_' + code]);
+    if (isNaN(rate) || rate <= 0) {
+      invalid.push(code);
+    } else {
+      rates[code] = rate;
+    }
+  });
+  return {rates: rates, invalid: invalid};
+}
+
+function save(db, rates, updatedBy, callback) {
+  db.settings.update({_id: TABLE_ID}, {$set: {
+    rates: rates,
+    updatedAt: new Date(),
+    updatedBy: updatedBy
+  }}, {upsert: true}, callback);
+}
+
+// How many units of `to` one unit of `from` buys.
+function rate(from, to, table) {
+  return table.rates[codeNamed(to)] / table.rates[codeNamed(from)];
+}
+
+function convert(amount, from, to, table) {
+  return Math.round(amount * rate(from, to, table) * 100) / 100;
+}
+
+// Formats an amount in `from` as it should be shown to someone who prefers
+// `to`, or as it is when they have no preference.
+function display(amount, from, to, table) {
+  if (!to || codeNamed(to) === codeNamed(from)) {
+    return format(amount, from);
+  }
+  return format(convert(amount, from, to, table), to);
+}
+
+// What a booking records about the rate a guest was shown its price at, so
+// the converted amount can be worked out again later. Null when the guest saw
+// the host's own currency.
+function exchangeFor(from, to, table) {
+  if (!to || codeNamed(to) === codeNamed(from)) {
+    return null;
+  }
+  return {
+    from: codeNamed(from),
+    to: codeNamed(to),
+    rate: rate(from, to, table),
+    ratesUpdatedAt: table.updatedAt
+  };
+}
+
+// An amount from a booking shown again in the guest's currency, at the rate
+// recorded when they booked rather than today's.
+function atBookedRate(amount, exchange) {
+  return format(Math.round(amount * exchange.rate * 100) / 100, exchange.to);
+}
+
+module.exports = {
+  CURRENCIES: CURRENCIES,
+  BASE_CURRENCY: BASE_CURRENCY,
+  DEFAULT_RATES: DEFAULT_RATES,
+  codeNamed: codeNamed,
+  of: of,
+  format: format,
+  load: load,
+  fromForm: fromForm,
+  save: save,
+  rate: rate,
+  convert: convert,
+  display: display,
+  exchangeFor: exchangeFor,
+  atBookedRate: atBookedRate
+};
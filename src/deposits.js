@@ -0,0 +1,389 @@
+var currencies = require('./currencies');
+var nights = require('./nights');
+var notifications = require('./notifications');
+var payments = require('./payments');
+var pricing = require('./pricing');
+
+var MINUTE = 60 * 1000;
+
+// Hosts can ask for a refundable security deposit. A booking takes the
+// advert's deposit when it is requested, as `booking.deposit`, and on its
+// check-in day the deposit is authorised on the card the guest paid with,
+// without the guest having to do anything unless their bank asks for 3-D
+// Secure. It is released `releaseDays` after check-out:
+//
+//   scheduled -> authorising -> held -> released
+//                            -> requires_action -> held
+//                            -> failed
+//
+// Until then the host can file one claim against it, with an amount and a
+// description. The guest accepts or disputes it, and an admin resolves a
+// dispute by awarding anything up to the amount claimed. Whatever was agreed
+// is captured and the rest released:
+//
+//   open -> accepted
+//        -> disputed -> resolved
+//
+// A deposit with a claim still open or disputed is kept until it is settled.
+
+// How many days after check-out a deposit is released and how often to look
+// for deposits to hold or release. Both can be set from the environment.
+function settings() {
+  return {
+    releaseDays: Number(process.env.DEPOSIT_RELEASE_DAYS) || 3,
+    sweepMinutes: Number(process.env.DEPOSIT_SWEEP_MINUTES) || 60
+  };
+}
+
+// The deposit a request for `advert`, quoted as `quote`, carries, or null
+// when the advert doesn't ask for one.
+function forStay(advert, quote) {
+  var amount = pricing.money(advert.deposit);
+  if (!amount) {
+    return null;
+  }
+  return {amount: amount, currency: quote.currency, status: 'scheduled', claim: null};
+}
+
+function releaseOn(booking, releaseDays) {
+  return nights.addDays(booking.checkOut, releaseDays);
+}
+
+// Whether the host can still claim against a booking's deposit on `today`.
+function canClaim(booking, today, releaseDays) {
+  var deposit = booking.deposit;
+  return Boolean(deposit && deposit.status === 'held' && !deposit.claim && today < releaseOn(booking, releaseDays));
+}
+
+function describe(deposit) {
+  return currencies.format(deposit.amount, deposit.currency);
+}
+
+function update(db, booking, query, changes, callback) {
+  query._id = booking._id;
+  changes.updatedAt = new Date();
+  var set = {};
+  Object.keys(changes).forEach(function(key) {
+    set['deposit.' + key] = changes[key];
+  });
+  db.bookings.findAndModify({query: query, update: {$set: set}, new: true}, function(err, changed) {
+    callback(err, changed || null);
+  });
+}
+
+// Where the deposit stands once its payment is in `payment.status`.
+function holdStatus(payment) {
+  return {authorised: 'held', requires_action: 'requires_action'}[payment.status] || 'failed';
+}
+
+// Copies what the gateway said about a deposit's payment onto the booking,
+// telling the guest, and the host if the card was declined.
+function recordHold(db, booking, payment, callback) {
+  var status = holdStatus(payment);
+  update(db, booking, {'deposit.status': {$in: ['authorising', 'requires_action']}}, {
+    status: status,
+    paymentId: payment._id ? payment._id.toHexString() : null,
+    actionUrl: status === 'requires_action' ? payment.actionUrl : null,
+    message: status === 'failed' ? payment.message || 'The card was declined.' : null
+  }, function(err, changed) {
+    if (err || !changed || status === 'held') {
+      return callback(err, changed);
+    }
+    var stay = 'your stay from ' + nights.toDateString(booking.checkIn);
+    if (status === 'requires_action') {
+      return notifications.notify(db, booking.guestId,
+        'Your bank needs you to confirm the ' + describe(booking.deposit) + ' deposit hold for ' + stay + '.', function(err) {
+          callback(err, changed);
+        });
+    }
+    notifications.notify(db, booking.guestId, 'We couldn\'t hold the ' + describe(booking.deposit) + ' deposit for ' + stay + ': ' + changed.deposit.message, function() {
+      notifications.notify(db, booking.hostId, 'The ' + describe(booking.deposit) + ' deposit for ' + booking.guestUsername + '\'s stay from ' +
+        nights.toDateString(booking.checkIn) + ' couldn\'t be held on their card.', function(err) {
+          callback(err, changed);
+        });
+    });
+  });
+}
+
+// Authorises a booking's deposit on the card its stay was paid with. The
+// deposit is marked as being authorised first, so it is only ever held once.
+function hold(db, gateway, booking, callback) {
+  update(db, booking, {'deposit.status': 'scheduled'}, {status: 'authorising'}, function(err, claimed) {
+    if (err || !claimed) {
+      return callback(err, null);
+    }
+    payments.forBooking(db, booking._id.toHexString(), 'stay', function(err, stayPayment) {
+      if (err) {
+        return callback(err);
+      }
+      if (!stayPayment || !stayPayment.paymentMethod) {
+        return recordHold(db, claimed, {status: 'declined', message: 'There is no card on file.'}, callback);
+      }
+      // The guest isn't on the site, so a 3-D Secure check brings them back
+      // to a path rather than a full address.
+      payments.authorise(db, gateway, {
+        purpose: 'deposit',
+        bookingId: booking._id.toHexString(),
+        amount: booking.deposit.amount,
+        currency: booking.deposit.currency,
+        savedMethod: stayPayment.paymentMethod,
+        siteUrl: ''
+      }, function(err, payment) {
+        if (err) {
+          return update(db, claimed, {'deposit.status': 'authorising'}, {status: 'scheduled'}, function() {
+            callback(err);
+          });
+        }
+        recordHold(db, claimed, payment, callback);
+      });
+    });
+  });
+}
+
+// Reads the host's claim form into {claim, error}. Hosts can claim up to the
+// whole deposit.
+function claimFromForm(body, deposit) {
+  var amount = pricing.money(body.amount);
+  var description = String(body.description || '').trim();
+  var error = null;
+  if (!amount || amount > deposit.amount) {
+    error = 'Claim an amount up to the ' + describe(deposit) + ' deposit.';
+  } else if (!description) {
+    error = 'Describe what the claim is for.';
+  }
+  return {
+    claim: {amount: amount, description: description, status: 'open'},
+    error: error
+  };
+}
+
+// Files the host's claim against a held deposit. Calls back with null if
+// the deposit has been claimed against or released meanwhile.
+function fileClaim(db, booking, claim, callback) {
+  claim.filedAt = new Date();
+  update(db, booking, {'deposit.status': 'held', 'deposit.claim': null}, {claim: claim}, function(err, changed) {
+    if (err || !changed) {
+      return callback(err, null);
+    }
+    notifications.notify(db, booking.guestId, 'Your host has claimed ' +
+      currencies.format(claim.amount, booking.deposit.currency) + ' of your deposit for your stay from ' +
+      nights.toDateString(booking.checkIn) + '. Accept or dispute it on your trips page.', function(err) {
+        callback(err, changed);
+      });
+  });
+}
+
+// The guest accepts the claim in full or disputes it, giving a reason, and
+// the host is told. Calls back with null if the claim was already answered.
+function respond(db, booking, accepted, reason, callback) {
+  var claim = booking.deposit.claim;
+  var changes = accepted ?
+    {'claim.status': 'accepted', 'claim.awarded': claim.amount} :
+    {'claim.status': 'disputed', 'claim.reason': String(reason || '').trim()};
+  changes['claim.respondedAt'] = new Date();
+  update(db, booking, {'deposit.claim.status': 'open'}, changes, function(err, changed) {
+    if (err || !changed) {
+      return callback(err, null);
+    }
+    notifications.notify(db, booking.hostId, booking.guestUsername + (accepted ? ' accepted' : ' disputed') + ' your ' +
+      currencies.format(claim.amount, booking.deposit.currency) + ' claim on their deposit' +
+      (accepted ? '.' : '. An admin will decide it.'), function(err) {
+        callback(err, changed);
+      });
+  });
+}
+
+// An admin awards anything from nothing up to the amount claimed, and both
+// sides are told. Calls back with an error message for an award out of
+// range, or with null if the claim was already settled.
+function resolve(db, booking, awarded, note, resolvedBy, callback) {
+  var claim = booking.deposit && booking.deposit.claim;
+  var amount = pricing.money(awarded);
+  if (!claim || amount === null || amount > claim.amount) {
+    return callback(null, null, 'Award between nothing and the ' + currencies.format(claim ? claim.amount : 0, booking.deposit.currency) + ' claimed.');
+  }
+  update(db, booking, {'deposit.claim.status': {$in: ['open', 'disputed']}}, {
+    'claim.status': 'resolved',
+    'claim.awarded': amount,
+    'claim.note': String(note || '').trim(),
+    'claim.resolvedBy': resolvedBy,
+    'claim.resolvedAt': new Date()
+  }, function(err, changed) {
+    if (err || !changed) {
+      return callback(err, null, null);
+    }
+    var message = 'The claim on the deposit for the stay from ' + nights.toDateString(booking.checkIn) + ' was settled at ' +
+      currencies.format(amount, booking.deposit.currency) + '.';
+    notifications.notify(db, booking.guestId, message, function() {
+      notifications.notify(db, booking.hostId, message, function(err) {
+        callback(err, changed, null);
+      });
+    });
+  });
+}
+
+// A line for the guest and host saying where a booking's deposit stands.
+function describeStatus(booking, releaseDays) {
+  var deposit = booking.deposit;
+  var amount = describe(deposit);
+  var claim = deposit.claim;
+  if (deposit.status === 'scheduled' || deposit.status === 'authorising') {
+    return amount + ' deposit, held on the card at check-in';
+  }
+  if (deposit.status === 'requires_action') {
+    return amount + ' deposit, waiting for the guest to confirm it with their bank';
+  }
+  if (deposit.status === 'failed') {
+    return amount + ' deposit, which couldn\'t be held: ' + deposit.message;
+  }
+  if (deposit.status === 'captured') {
+    return amount + ' deposit, of which ' + currencies.format(deposit.captured, deposit.currency) + ' was kept for a claim';
+  }
+  if (deposit.status === 'released') {
+    return amount + ' deposit, released';
+  }
+  if (claim && claim.status === 'open') {
+    return amount + ' deposit held, with a claim waiting for the guest';
+  }
+  if (claim && claim.status === 'disputed') {
+    return amount + ' deposit held, with a disputed claim waiting for an admin';
+  }
+  return amount + ' deposit held until ' + nights.toDateString(releaseOn(booking, releaseDays));
+}
+
+// Claims waiting on an admin, oldest first. Claims guests haven't answered
+// are listed too, so they can be settled if the guest never does.
+function disputes(db, callback) {
+  db.bookings.find({'deposit.claim.status': {$in: ['open', 'disputed']}}).sort({'deposit.claim.filedAt': 1}, callback);
+}
+
+// Captures what was agreed on a settled claim and releases the rest, or
+// releases a deposit nobody claimed against once its day comes or its
+// booking is cancelled. Calls back with the changed booking, or null when
+// there was nothing to do.
+function settle(db, gateway, booking, today, releaseDays, callback) {
+  var deposit = booking.deposit;
+  var claim = deposit && deposit.claim;
+  if (!deposit || (deposit.status !== 'held' && deposit.status !== 'requires_action')) {
+    return callback(null, null);
+  }
+  var agreed = claim && (claim.status === 'accepted' || claim.status === 'resolved');
+  var lapsed = !claim && (booking.status === 'cancelled' || today >= releaseOn(booking, releaseDays));
+  if (!agreed && !lapsed) {
+    return callback(null, null);
+  }
+  payments.find(db, deposit.paymentId, function(err, payment) {
+    if (err || !payment) {
+      return callback(err, null);
+    }
+    function finish(err, settled) {
+      if (err) {
+        return callback(err);
+      }
+      update(db, booking, {'deposit.status': deposit.status}, {
+        status: settled.status === 'captured' ? 'captured' : 'released',
+        captured: settled.captured || 0,
+        actionUrl: null,
+        settledAt: new Date()
+      }, callback);
+    }
+    if (agreed && claim.awarded && deposit.status === 'held') {
+      return payments.capture(db, gateway, payment, claim.awarded, finish);
+    }
+    payments.cancel(db, gateway, payment, finish);
+  });
+}
+
+// Holds the deposits of stays checking in by `now` and settles any that are
+// due. Calls back with {held, settled} bookings.
+function sweep(db, gateway, options, callback) {
+  var today = nights.of(options.now || new Date());
+  var result = {held: [], settled: []};
+  db.bookings.find({status: 'approved', 'deposit.status': 'scheduled', checkIn: {$lte: today}}, function(err, due) {
+    if (err) {
+      return callback(err);
+    }
+    each(due, function(booking, done) {
+      hold(db, gateway, booking, function(err, changed) {
+        if (changed) {
+          result.held.push(changed);
+        }
+        done(err);
+      });
+    }, function(err) {
+      if (err) {
+        return callback(err, result);
+      }
+      db.bookings.find({'deposit.status': {$in: ['held', 'requires_action']}}, function(err, open) {
+        if (err) {
+          return callback(err, result);
+        }
+        each(open, function(booking, done) {
+          settle(db, gateway, booking, today, options.releaseDays, function(err, changed) {
+            if (changed) {
+              result.settled.push(changed);
+            }
+            done(err);
+          });
+        }, function(err) {
+          callback(err, result);
+        });
+      });
+    });
+  });
+}
+
+// Runs `work` on each item in turn, calling back with the first error once
+// all are done.
+function each(items, work, callback) {
+  var failure = null;
+  function next(index) {
+    if (index === items.length) {
+      return callback(failure);
+    }
+    work(items[index], function(err) {
+      failure = failure || err;
+      next(index + 1);
+    });
+  }
+  next(0);
+}
+
+// Sweeps now and then every few minutes for as long as the process runs.
+function schedule(db, log) {
+  var options = settings();
+  function run() {
+    sweep(db, payments.gateway(), {releaseDays: options.releaseDays}, function(err, result) {
+      if (err) {
+        return log(err);
+      }
+      if (result.held.length) {
+        log('Held ' + result.held.length + ' deposits');
+      }
+      if (result.settled.length) {
+        log('Settled ' + result.settled.length + ' deposits');
+      }
+    });
+  }
+  run();
+  return setInterval(run, options.sweepMinutes * MINUTE).unref();
+}
+
+module.exports = {
+  settings: settings,
+  forStay: forStay,
+  releaseOn: releaseOn,
+  canClaim: canClaim,
+  holdStatus: holdStatus,
+  recordHold: recordHold,
+  hold: hold,
+  claimFromForm: claimFromForm,
+  fileClaim: fileClaim,
+  respond: respond,
+  resolve: resolve,
+  disputes: disputes,
+  describeStatus: describeStatus,
+  settle: settle,
+  sweep: sweep,
+  schedule: schedule
+};
@@ -0,0 +1,84 @@
+// Length-of-stay discounts: tiers such as [{minNights: 7, percent: 10},
+// {minNights: 28, percent: 25}] kept in `advert.discounts`, sorted by
+// minNights. A stay gets the tier with the most nights it reaches, and the
+// percentage comes off the price of its nights only, not its fees.
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// The new-advert and edit forms repeat a nights and a percent field once
+// per tier, which body-parser hands over as a single string or an array.
+// Tiers missing either, or with a percentage outside 1-99, are dropped, and
+// a later tier for the same number of nights replaces an earlier one.
+function fromForm(minNights, percents) {
+  minNights = [].concat(minNights || []);
+  percents = [].concat(percents || []);
+  var byNights = {};
+  minNights.forEach(function(value, index) {
+    var nights = parseInt(value, 10);
+    var percent = parseFloat(percents[index]);
+    if (nights >= 2 && percent >= 1 && percent <= 99) {
+      byNights[nights] = {minNights: nights, percent: round(percent)};
+    }
+  });
+  return Object.keys(byNights).map(function(nights) {
+    return byNights[nights];
+  }).sort(function(a, b) {
+    return a.minNights - b.minNights;
+  });
+}
+
+// The tier a stay of `nightCount` nights gets, or null.
+function tierFor(discounts, nightCount) {
+  var best = null;
+  (discounts || []).forEach(function(tier) {
+    if (nightCount >= tier.minNights && (!best || tier.minNights > best.minNights)) {
+      best = tier;
+    }
+  });
+  return best;
+}
+
+// The discount on `amount` for a stay of `nightCount` nights, as
+// {minNights, percent, amount}, or null when no tier applies.
+function apply(discounts, nightCount, amount) {
+  var tier = tierFor(discounts, nightCount);
+  if (!tier) {
+    return null;
+  }
+  return {minNights: tier.minNights, percent: tier.percent, amount: round(amount * tier.percent / 100)};
+}
+
+function describeTier(tier) {
+  return tier.percent + '% off ' + tier.minNights + '+ nights';
+}
+
+// Short description of an advert's tiers for listing cards, e.g.
+// ['10% off 7+ nights', '25% off 28+ nights'].
+function describe(discounts) {
+  return (discounts || []).map(describeTier);
+}
+
+// The part of an advert search for listings with a discount, from the
+// listings page's `discounted` box and optional `stayNights`: any discount
+// at all, or one that a stay of that many nights would get.
+function searchQuery(params) {
+  if (!params.discounted) {
+    return {};
+  }
+  var stayNights = parseInt(params.stayNights, 10);
+  if (stayNights >= 1) {
+    return {discounts: {$elemMatch: {minNights: {$lte: stayNights}}}};
+  }
+  return {'discounts.0': {$exists: true}};
+}
+
+module.exports = {
+  fromForm: fromForm,
+  tierFor: tierFor,
+  apply: apply,
+  describeTier: describeTier,
+  describe: describe,
+  searchQuery: searchQuery
+};
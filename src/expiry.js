@@ -0,0 +1,120 @@
+var mongojs = require('mongojs');
+var bookings = require('./bookings');
+var coupons = require('./coupons');
+var nights = require('./nights');
+var notifications = require('./notifications');
+var payments = require('./payments');
+var waitlist = require('./waitlist');
+
+var HOUR = 60 * 60 * 1000;
+
+// How long a host has to answer a request, how long a waitlisted guest's hold
+// lasts, and how often to look for requests and holds that have run out. All
+// can be set from the environment.
+function settings() {
+  return {
+    hours: Number(process.env.PENDING_EXPIRY_HOURS) || 24,
+    holdHours: Number(process.env.WAITLIST_HOLD_HOURS) || 24,
+    sweepMinutes: Number(process.env.EXPIRY_SWEEP_MINUTES) || 15
+  };
+}
+
+// Expires every pending request older than `hours`, or whose first night has
+// already gone by, and tells its guest. Calls back with the expired bookings.
+function sweep(db, options, callback) {
+  var now = options.now || new Date();
+  var today = nights.of(now);
+  db.bookings.find({
+    status: 'pending',
+    $or: [
+      {createdAt: {$lt: new Date(now.getTime() - options.hours * HOUR)}},
+      {checkIn: {$lt: today}},
+      {night: {$lt: today}}
+    ]
+  }, function(err, stale) {
+    if (err || !stale.length) {
+      return callback(err, []);
+    }
+    var advertIds = stale.map(function(booking) {
+      return mongojs.ObjectId(booking.advertId);
+    });
+    db.adverts.find({_id: {$in: advertIds}}, function(err, adverts) {
+      if (err) {
+        return callback(err);
+      }
+      var names = {};
+      adverts.forEach(function(advert) {
+        names[advert._id] = advert.name;
+      });
+      var expired = [];
+      var remaining = stale.length;
+      stale.forEach(function(booking) {
+        bookings.transition(db, booking._id.toHexString(), 'expired', function(err, changed) {
+          if (err || !changed) {
+            return finish(err);
+          }
+          expired.push(changed);
+          var checkIn = changed.checkIn || changed.night;
+          notifications.notify(db, changed.guestId,
+            'Your request to stay at ' + (names[changed.advertId] || 'a listing') + ' from ' +
+            nights.toDateString(checkIn) + ' expired before the host replied.', finish);
+        });
+      });
+      function finish(failure) {
+        err = err || failure;
+        if (--remaining === 0) {
+          callback(err, expired);
+        }
+      }
+    });
+  });
+}
+
+// Sweeps now and then every few minutes for as long as the process runs,
+// giving back the coupon uses and voiding the payments of requests that
+// didn't go ahead as it goes.
+function schedule(db, log) {
+  var options = settings();
+  function run() {
+    sweep(db, {hours: options.hours}, function(err, expired) {
+      if (err) {
+        return log(err);
+      }
+      if (expired.length) {
+        log('Expired ' + expired.length + ' pending booking requests');
+      }
+    });
+    waitlist.sweep(db, {hours: options.holdHours}, function(err, lapsed) {
+      if (err) {
+        return log(err);
+      }
+      if (lapsed.length) {
+        log('Lapsed ' + lapsed.length + ' waitlist holds');
+      }
+    });
+    coupons.sweep(db, function(err, released) {
+      if (err) {
+        return log(err);
+      }
+      if (released.length) {
+        log('Gave back ' + released.length + ' coupon uses');
+      }
+    });
+    payments.sweep(db, payments.gateway(), {}, function(err, settled) {
+      if (err) {
+        return log(err);
+      }
+      if (settled.length) {
+        log('Settled ' + settled.length + ' payments');
+      }
+    });
+  }
+  run();
+  return setInterval(run, options.sweepMinutes * 60 * 1000).unref();
+}
+
+module.exports = {
+  settings: settings,
+  sweep: sweep,
+  schedule: schedule
+};
@@ -0,0 +1,146 @@
+// A payment gateway that never leaves the process, for development and
+// tests. Like Stripe's test mode, the card number decides what happens:
+//
+//   4242424242424242  authorised
+//   4000000000000002  declined
+//   4000000000003220  needs 3-D Secure; the guest passes or fails it on the
+//                     pretend bank page at actionUrl
+//
+// Any other number is declined as invalid. Authorising a card saves it as a
+// payment method that the server can charge again later as `savedMethod`,
+// without the card number, as for a deposit. Payments and saved cards only
+// last as long as the gateway does.
+
+var CARDS = {
+  '4242424242424242': 'success',
+  '4000000000000002': 'decline',
+  '4000000000003220': 'authenticate'
+};
+
+function createMockGateway() {
+  var intents = {};
+  var savedCards = {};
+  var count = 0;
+
+  function answer(callback, err, intent) {
+    setImmediate(function() {
+      callback(err, intent ? result(intent) : null);
+    });
+  }
+
+  function result(intent) {
+    return {
+      id: intent.id,
+      status: intent.status,
+      actionUrl: intent.status === 'requires_action' ? '/payments/mock/' + intent.id : null,
+      message: intent.message || null,
+      paymentMethod: intent.paymentMethod
+    };
+  }
+
+  // Looks up a payment that is in one of `statuses`, or calls back with an
+  // error saying why it can't be used.
+  function find(id, statuses, callback) {
+    var intent = intents[id];
+    if (!intent) {
+      answer(callback, new Error('No such payment: ' + id));
+      return null;
+    }
+    if (statuses.indexOf(intent.status) === -1) {
+      answer(callback, new Error('Payment ' + id + ' is ' + intent.status));
+      return null;
+    }
+    return intent;
+  }
+
+  return {
+    name: 'mock',
+
+    authorise: function(request, callback) {
+      var card = request.savedMethod ? savedCards[request.savedMethod] || '' :
+        String(request.card || '').replace(/[\s-]/g, '');
+      var outcome = CARDS[card];
+      var intent = {
+        id: 'mock_' + (++count),
+        paymentMethod: outcome ? 'mock_pm_' + card.slice(-4) : null,
+        amount: request.amount,
+        currency: request.currency,
+        captured: 0,
+        refunded: 0,
+        returnUrl: request.returnUrl
+      };
+      if (outcome === 'success') {
+        intent.status = 'authorised';
+      } else if (outcome === 'authenticate') {
+        intent.status = 'requires_action';
+      } else {
+        intent.status = 'declined';
+        intent.message = outcome === 'decline' ? 'Your card was declined.' : 'Your card number is not valid.';
+      }
+      if (intent.paymentMethod) {
+        savedCards[intent.paymentMethod] = card;
+      }
+      intents[intent.id] = intent;
+      answer(callback, null, intent);
+    },
+
+    // What the pretend bank page does: the guest passes or fails 3-D Secure.
+    // Calls back with where the guest goes next.
+    authenticate: function(id, passed, callback) {
+      var intent = find(id, ['requires_action'], callback);
+      if (!intent) {
+        return;
+      }
+      intent.status = passed ? 'authorised' : 'declined';
+      intent.message = passed ? null : 'Your bank didn\'t confirm the payment.';
+      setImmediate(function() {
+        callback(null, intent.returnUrl);
+      });
+    },
+
+    retrieve: function(id, callback) {
+      var intent = find(id, ['authorised', 'requires_action', 'declined', 'captured', 'voided', 'refunded'], callback);
+      if (intent) {
+        answer(callback, null, intent);
+      }
+    },
+
+    capture: function(id, amount, currency, callback) {
+      var intent = find(id, ['authorised'], callback);
+      if (!intent) {
+        return;
+      }
+      if (amount > intent.amount) {
+        return answer(callback, new Error('Can\'t capture more than was authorised'));
+      }
+      intent.status = 'captured';
+      intent.captured = amount;
+      answer(callback, null, intent);
+    },
+
+    // Voids an authorisation, or abandons a payment awaiting 3-D Secure.
+    cancel: function(id, callback) {
+      var intent = find(id, ['authorised', 'requires_action'], callback);
+      if (!intent) {
+        return;
+      }
+      intent.status = 'voided';
+      answer(callback, null, intent);
+    },
+
+    refund: function(id, amount, currency, callback) {
+      var intent = find(id, ['captured', 'refunded'], callback);
+      if (!intent) {
+        return;
+      }
+      if (intent.refunded + amount > intent.captured) {
+        return answer(callback, new Error('Can\'t refund more than was captured'));
+      }
+      intent.refunded = Math.round((intent.refunded + amount) * 100) / 100;
+      intent.status = 'refunded';
+      answer(callback, null, intent);
+    }
+  };
+}
+
+module.exports = createMockGateway;
@@ -0,0 +1,177 @@
+var https = require('https');
+var querystring = require('querystring');
+var url = require('url');
+
+// Payments through Stripe's PaymentIntents API, called over HTTPS directly.
+// Authorising creates and confirms an intent with manual capture, so the
+// money is held on the card until the host approves. `card` is a Stripe
+// payment method id (pm_...), as collected in the browser by Stripe Elements.
+// It is saved to a new customer for charging later without the guest, and the
+// saved method comes back as `paymentMethod` ("cus_.../pm_..."), which only
+// the server can pass back, as `savedMethod`, to charge it off-session.
+
+var PAYMENT_METHOD = /^pm_\w+$/;
+
+// Currencies Stripe counts in whole units rather than cents.
+var ZERO_DECIMAL = ['JPY'];
+
+function toMinor(amount, currency) {
+  return Math.round(amount * (ZERO_DECIMAL.indexOf(currency) === -1 ? 100 : 1));
+}
+
+var STATUSES = {
+  requires_capture: 'authorised',
+  requires_action: 'requires_action',
+  requires_payment_method: 'declined',
+  requires_confirmation: 'declined',
+  succeeded: 'captured',
+  canceled: 'voided'
+};
+
+function result(intent) {
+  var status = STATUSES[intent.status] || intent.status;
+  if (status === 'captured' && intent.amount_refunded) {
+    status = 'refunded';
+  }
+  var next = intent.next_action || {};
+  return {
+    id: intent.id,
+    status: status,
+    actionUrl: next.redirect_to_url ? next.redirect_to_url.url : null,
+    message: intent.last_payment_error ? intent.last_payment_error.message : null,
+    paymentMethod: intent.customer && intent.payment_method ? intent.customer + '/' + intent.payment_method : null
+  };
+}
+
+// Sends a form-encoded request to the API and calls back with the status
+// code and parsed body.
+function send(options, method, path, form, callback) {
+  var target = url.parse(options.apiBase + path);
+  var body = form ? querystring.stringify(form) : '';
+  var request = https.request({
+    method: method,
+    hostname: target.hostname,
+    port: target.port,
+    path: target.path,
+    headers: {
+      'Authorization': 'Bearer ' + options.secretKey,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(body)
+    }
+  }, function(response) {
+    var chunks = [];
+    response.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    response.on('end', function() {
+      var parsed;
+      try {
+        parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (err) {
+        return callback(err);
+      }
+      callback(null, response.statusCode, parsed);
+    });
+  });
+  request.on('error', callback);
+  request.end(body);
+}
+
+// `options` are {secretKey, apiBase}; `options.send` replaces the HTTPS
+// call, for tests.
+function createStripeGateway(options) {
+  options = options || {};
+  options.apiBase = options.apiBase || 'https://api.stripe.com';
+  var call = options.send || send;
+
+  // Card errors, such as a decline, come back as a declined payment; any
+  // other failure is an error.
+  function request(method, path, form, callback) {
+    call(options, method, path, form, function(err, statusCode, body) {
+      if (err) {
+        return callback(err);
+      }
+      if (statusCode >= 400) {
+        var failure = body.error || {};
+        if (failure.type === 'card_error' && failure.payment_intent) {
+          var declined = result(failure.payment_intent);
+          declined.status = 'declined';
+          declined.message = failure.message;
+          return callback(null, declined);
+        }
+        return callback(new Error('Stripe: ' + (failure.message || 'HTTP ' + statusCode)));
+      }
+      callback(null, result(body));
+    });
+  }
+
+  return {
+    name: 'stripe',
+
+    authorise: function(payment, callback) {
+      var form = {
+        'amount': toMinor(payment.amount, payment.currency),
+        'currency': payment.currency.toLowerCase(),
+        'capture_method': 'manual',
+        'confirm': 'true',
+        'metadata[reference]': payment.reference
+      };
+      if (payment.savedMethod) {
+        var saved = payment.savedMethod.split('/');
+        form['customer'] = saved[0];
+        form['payment_method'] = saved[1];
+        form['off_session'] = 'true';
+        return request('POST', '/v1/payment_intents', form, callback);
+      }
+      if (!PAYMENT_METHOD.test(payment.card || '')) {
+        return setImmediate(function() {
+          callback(null, {
+            id: null,
+            status: 'declined',
+            actionUrl: null,
+            message: 'Your card details weren\'t recognised.',
+            paymentMethod: null
+          });
+        });
+      }
+      call(options, 'POST', '/v1/customers', {'payment_method': payment.card}, function(err, statusCode, customer) {
+        if (err || statusCode >= 400) {
+          return callback(err || new Error('Stripe: ' + ((customer.error || {}).message || 'HTTP ' + statusCode)));
+        }
+        form['customer'] = customer.id;
+        form['payment_method'] = payment.card;
+        form['setup_future_usage'] = 'off_session';
+        form['return_url'] = payment.returnUrl;
+        request('POST', '/v1/payment_intents', form, callback);
+      });
+    },
+
+    retrieve: function(id, callback) {
+      request('GET', '/v1/payment_intents/' + id, null, callback);
+    },
+
+    capture: function(id, amount, currency, callback) {
+      request('POST', '/v1/payment_intents/' + id + '/capture', {
+        'amount_to_capture': toMinor(amount, currency)
+      }, callback);
+    },
+
+    cancel: function(id, callback) {
+      request('POST', '/v1/payment_intents/' + id + '/cancel', null, callback);
+    },
+
+    refund: function(id, amount, currency, callback) {
+      request('POST', '/v1/refunds', {
+        'payment_intent': id,
+        'amount': toMinor(amount, currency)
+      }, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        request('GET', '/v1/payment_intents/' + id, null, callback);
+      });
+    }
+  };
+}
+
+module.exports = createStripeGateway;
@@ -0,0 +1,421 @@
+var nights = require('./nights');
+
+// Just enough of RFC 5545 to publish bookings and blocked nights as all-day
+// events that calendar apps can subscribe to, and to read the nights taken
+// by events in calendars exported from other sites.
+
+var CRLF = '\r\n';
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines longer than 75 octets are folded onto continuation lines
+// starting with a space, taking care not to split a multi-byte character.
+function fold(line) {
+  var folded = [];
+  var current = '';
+  var octets = 0;
+  Array.from(line).forEach(function(character) {
+    var size = Buffer.byteLength(character);
+    if (octets + size > (folded.length ? 74 : 75)) {
+      folded.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  });
+  folded.push(current);
+  return folded.join(CRLF + ' ');
+}
+
+function toDate(night) {
+  return night.replace(/-/g, '');
+}
+
+function toDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Joins nights into runs of consecutive nights, each with the day after its
+// last night as the (exclusive) end, e.g. for blocked-night events.
+function runsOf(list) {
+  var runs = [];
+  list.slice().sort().forEach(function(night) {
+    var last = runs[runs.length - 1];
+    if (last && last.end === night) {
+      last.end = nights.addDays(night, 1);
+    } else {
+      runs.push({start: night, end: nights.addDays(night, 1)});
+    }
+  });
+  return runs;
+}
+
+// `events` are {uid, start, end, summary, description} with `start` and the
+// exclusive `end` as nights.
+function exportCalendar(name, events, now) {
+  var stamp = toDateTime(now || new Date());
+  var lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MakersBnB//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:' + escapeText(name)
+  ];
+  events.forEach(function(event) {
+    lines.push(
+      'BEGIN:VEVENT',
+      'UID:' + event.uid,
+      'DTSTAMP:' + stamp,
+      'DTSTART;VALUE=DATE:' + toDate(event.start),
+      'DTEND;VALUE=DATE:' + toDate(event.end),
+      'SUMMARY:' + escapeText(event.summary),
+      'TRANSP:OPAQUE'
+    );
+    if (event.description) {
+      lines.push('DESCRIPTION:' + escapeText(event.description));
+    }
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join(CRLF) + CRLF;
+}
+
+// Reading calendars
+
+var DATE = /^(\d{4})(\d{2})(\d{2})$/;
+var DATE_TIME = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+var WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+var MAX_OCCURRENCES = 1000;
+
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, function(match, character) {
+    return character === 'n' || character === 'N' ? '\n' : character;
+  });
+}
+
+// Splits a content line such as 'DTSTART;TZID=Europe/Paris:20200301T150000'
+// into its name, parameters and value.
+function parseLine(line) {
+  var quoted = false;
+  var colon = -1;
+  for (var i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      colon = i;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+  var parts = line.slice(0, colon).split(';');
+  var params = {};
+  parts.slice(1).forEach(function(param) {
+    var equals = param.indexOf('=');
+    params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+  });
+  return {name: parts[0].toUpperCase(), params: params, value: line.slice(colon + 1)};
+}
+
+// The properties of every VEVENT, leaving out those of components nested
+// inside it such as VALARM.
+function readEvents(text) {
+  var lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  var events = [];
+  var stack = [];
+  lines.forEach(function(line) {
+    var property = parseLine(line);
+    if (!property) {
+      return;
+    }
+    var value = property.value.toUpperCase();
+    if (property.name === 'BEGIN') {
+      stack.push(value);
+      if (value === 'VEVENT') {
+        events.push({});
+      }
+    } else if (property.name === 'END') {
+      stack.pop();
+    } else if (stack[stack.length - 1] === 'VEVENT') {
+      var event = events[events.length - 1];
+      (event[property.name] = event[property.name] || []).push(property);
+    }
+  });
+  return events;
+}
+
+function localZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// How far ahead of UTC `timeZone` is at `instant`, in milliseconds. Throws a
+// RangeError for time zones the runtime doesn't know.
+function zoneOffset(instant, timeZone) {
+  var parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hour12: false,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(instant)).forEach(function(part) {
+    parts[part.type] = part.value;
+  });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second) - instant;
+}
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', {timeZone: name});
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// The instant a wall-clock time in `timeZone` refers to.
+function fromWallClock(wallClock, timeZone) {
+  var guess = wallClock - zoneOffset(wallClock, timeZone);
+  return wallClock - zoneOffset(guess, timeZone);
+}
+
+function nightAt(instant, timeZone) {
+  var date = new Date(instant + zoneOffset(instant, timeZone));
+  return date.toISOString().slice(0, 10);
+}
+
+// The night a DATE or DATE-TIME value falls on in `timeZone`. UTC times and
+// times given in another TZID are converted; floating times are taken as they
+// are, as are times in a TZID the runtime doesn't recognise.
+function toNight(value, params, timeZone) {
+  var date = DATE.exec(value);
+  if (date) {
+    return date[1] + '-' + date[2] + '-' + date[3];
+  }
+  var time = DATE_TIME.exec(value);
+  if (!time) {
+    return null;
+  }
+  var floating = time[1] + '-' + time[2] + '-' + time[3];
+  var wallClock = Date.UTC(time[1], time[2] - 1, time[3], time[4], time[5], time[6]);
+  try {
+    if (time[7] === 'Z') {
+      return nightAt(wallClock, timeZone);
+    }
+    if (params.TZID) {
+      return nightAt(fromWallClock(wallClock, params.TZID), timeZone);
+    }
+  } catch (e) {
+    if (!(e instanceof RangeError)) {
+      throw e;
+    }
+  }
+  return floating;
+}
+
+// Whole days in a DURATION such as 'P1D', 'P2W' or 'P1DT12H'.
+function durationDays(value) {
+  var match = /^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match) {
+    return 0;
+  }
+  var hours = Number(match[3] || 0) + Number(match[4] || 0) / 60 + Number(match[5] || 0) / 3600;
+  return Number(match[1] || 0) * 7 + Number(match[2] || 0) + Math.floor(hours / 24);
+}
+
+function first(event, name) {
+  return event[name] ? event[name][0] : null;
+}
+
+function nightsOfProperty(property, timeZone) {
+  return property.value.split(',').map(function(value) {
+    return toNight(value, property.params, timeZone);
+  });
+}
+
+function parseRule(value) {
+  var rule = {INTERVAL: 1};
+  value.split(';').forEach(function(part) {
+    var pair = part.split('=');
+    rule[pair[0].toUpperCase()] = pair[1];
+  });
+  rule.INTERVAL = Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+  rule.COUNT = rule.COUNT ? parseInt(rule.COUNT, 10) : null;
+  return rule;
+}
+
+// Whole months from `from` to `to`, both nights.
+function monthsBetween(from, to) {
+  return (Number(to.slice(0, 4)) - Number(from.slice(0, 4))) * 12 + Number(to.slice(5, 7)) - Number(from.slice(5, 7));
+}
+
+// The first night of every occurrence of a recurring event from `from` up
+// to `until`. Covers FREQ=DAILY, WEEKLY (with BYDAY), MONTHLY and YEARLY
+// with INTERVAL, COUNT and UNTIL; dates that don't exist in a month, such as
+// the 31st of April, are skipped as RFC 5545 requires. A rule that began
+// long before `from` is picked up at the first period reaching it, with the
+// occurrences passed over still counting towards COUNT, so MAX_OCCURRENCES
+// is spent inside the import window.
+function occurrences(start, rule, from, until, timeZone) {
+  var last = until;
+  if (rule.UNTIL) {
+    var ruleEnd = toNight(rule.UNTIL, {}, timeZone);
+    last = ruleEnd && ruleEnd < last ? ruleEnd : last;
+  }
+  var starts = [];
+  var before = 0;
+  function counted() {
+    return rule.COUNT !== null && before + starts.length >= rule.COUNT;
+  }
+  function add(night) {
+    if (night < start || night > last || counted()) {
+      return;
+    }
+    if (night < from) {
+      before++;
+    } else {
+      starts.push(night);
+    }
+  }
+  var step, skip, candidate;
+  if (rule.FREQ === 'WEEKLY' && rule.BYDAY) {
+    var offsets = rule.BYDAY.split(',').map(function(day) {
+      return WEEKDAYS.indexOf(day.slice(-2).toUpperCase());
+    }).filter(function(offset) {
+      return offset !== -1;
+    }).sort();
+    var monday = nights.addDays(start, -((new Date(start).getUTCDay() + 6) % 7));
+    skip = Math.max(0, Math.floor(nights.daysBetween(monday, from) / (7 * rule.INTERVAL)));
+    if (skip) {
+      before = offsets.filter(function(offset) {
+        return nights.addDays(monday, offset) >= start;
+      }).length + (skip - 1) * offsets.length;
+      monday = nights.addDays(monday, skip * 7 * rule.INTERVAL);
+    }
+    for (step = 0; step < MAX_OCCURRENCES && monday <= last && !counted(); step++) {
+      offsets.forEach(function(offset) {
+        add(nights.addDays(monday, offset));
+      });
+      monday = nights.addDays(monday, 7 * rule.INTERVAL);
+    }
+    return starts;
+  }
+  // Days apart for DAILY and WEEKLY, months apart for MONTHLY and YEARLY.
+  var period = {DAILY: 1, WEEKLY: 7, MONTHLY: 1, YEARLY: 12}[rule.FREQ];
+  if (!period) {
+    return [start];
+  }
+  period *= rule.INTERVAL;
+  var monthly = rule.FREQ === 'MONTHLY' || rule.FREQ === 'YEARLY';
+  function nthStart(n) {
+    return monthly ? nights.addMonths(start, n * period) : nights.addDays(start, n * period);
+  }
+  skip = Math.max(0, Math.floor((monthly ? monthsBetween(start, from) : nights.daysBetween(start, from)) / period));
+  if (!monthly) {
+    before = skip;
+  } else {
+    for (step = 0; step < skip; step++) {
+      if (nthStart(step).slice(8) === start.slice(8)) {
+        before++;
+      }
+    }
+  }
+  for (step = skip; step < skip + MAX_OCCURRENCES; step++) {
+    candidate = nthStart(step);
+    if (candidate > last || counted()) {
+      break;
+    }
+    if (!monthly || candidate.slice(8) === start.slice(8)) {
+      add(candidate);
+    }
+  }
+  return starts;
+}
+
+// Reads the nights taken by each event in an iCalendar file. Cancelled and
+// free (TRANSP:TRANSPARENT) events are ignored. Recurring events are expanded
+// up to `options.until`, leaving out EXDATEs and occurrences that have been
+// moved by a separate RECURRENCE-ID event. Only nights from `options.from`,
+// today by default, to `options.until` are listed, however long an event
+// runs. Nights are worked out in `options.timeZone`, the server's own time
+// zone by default.
+function parse(text, options) {
+  options = options || {};
+  var timeZone = options.timeZone || localZone();
+  var from = options.from || nights.of();
+  var until = options.until || nights.addMonths(nights.of(), 24);
+  var events = readEvents(text);
+
+  var moved = {};
+  events.forEach(function(event) {
+    var recurrenceId = first(event, 'RECURRENCE-ID');
+    var uid = first(event, 'UID');
+    if (recurrenceId && uid) {
+      (moved[uid.value] = moved[uid.value] || []).push(toNight(recurrenceId.value, recurrenceId.params, timeZone));
+    }
+  });
+
+  var parsed = [];
+  events.forEach(function(event, index) {
+    var dtstart = first(event, 'DTSTART');
+    var status = first(event, 'STATUS');
+    var transp = first(event, 'TRANSP');
+    if (!dtstart || (status && status.value.toUpperCase() === 'CANCELLED') ||
+        (transp && transp.value.toUpperCase() === 'TRANSPARENT')) {
+      return;
+    }
+    var start = toNight(dtstart.value, dtstart.params, timeZone);
+    if (!start) {
+      return;
+    }
+    var dtend = first(event, 'DTEND');
+    var duration = first(event, 'DURATION');
+    var end = dtend ? toNight(dtend.value, dtend.params, timeZone) :
+      (duration ? nights.addDays(start, durationDays(duration.value)) : null);
+    var length = Math.max(1, end ? nights.daysBetween(start, end) : 0);
+
+    var uid = first(event, 'UID') ? first(event, 'UID').value : 'event-' + index;
+    var starts = [start];
+    var rrule = first(event, 'RRULE');
+    if (rrule && !first(event, 'RECURRENCE-ID')) {
+      var skipped = (moved[uid] || []).slice();
+      (event.EXDATE || []).forEach(function(exdate) {
+        skipped = skipped.concat(nightsOfProperty(exdate, timeZone));
+      });
+      starts = occurrences(start, parseRule(rrule.value), nights.addDays(from, 1 - length), until, timeZone).filter(function(night) {
+        return skipped.indexOf(night) === -1;
+      });
+    }
+
+    var taken = {};
+    starts.forEach(function(night) {
+      var last = nights.addDays(night, length - 1);
+      nights.range(night > from ? night : from, last < until ? last : until).forEach(function(stayNight) {
+        taken[stayNight] = true;
+      });
+    });
+    var summary = first(event, 'SUMMARY');
+    parsed.push({
+      uid: uid,
+      summary: summary ? unescapeText(summary.value) : '',
+      nights: Object.keys(taken).sort()
+    });
+  });
+  return parsed;
+}
+
+module.exports = {
+  escapeText: escapeText,
+  fold: fold,
+  runsOf: runsOf,
+  exportCalendar: exportCalendar,
+  isTimeZone: isTimeZone,
+  parse: parse
+};
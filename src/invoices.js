@@ -0,0 +1,298 @@
+var mongojs = require('mongojs');
+var counters = require('./counters');
+var currencies = require('./currencies');
+var nights = require('./nights');
+var pdf = require('./pdf');
+var quotes = require('./quotes');
+
+var HOUR = 60 * 60 * 1000;
+
+// Each host gets a numbered monthly statement of the stays that began that
+// month: what each stay came to, night by night and fee by fee, what the
+// guest paid the site on top, the site's commission and what the host
+// earned, with refunds on stays cancelled after approval. Statements are
+// issued once a month is over, when nothing in them can change any more,
+// and are kept as issued.
+
+// How often to check for a finished month that hasn't been invoiced, which
+// can be set from the environment.
+function settings() {
+  return {
+    runHours: Number(process.env.INVOICE_RUN_HOURS) || 6
+  };
+}
+
+// Months are 'YYYY-MM'.
+function monthOf(date) {
+  return nights.of(date).slice(0, 7);
+}
+
+function previousMonth(month) {
+  return nights.addMonths(month + '-01', -1).slice(0, 7);
+}
+
+function nextMonth(month) {
+  return nights.addMonths(month + '-01', 1).slice(0, 7);
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// What a host keeps from a booking. A stay cancelled after approval keeps
+// the share of the payout that wasn't refunded to the guest.
+function hostEarnings(booking) {
+  var payout = booking.quote ? booking.quote.hostPayout : booking.totalPrice || 0;
+  if (booking.status !== 'cancelled') {
+    return payout;
+  }
+  var refunded = booking.refund ? booking.refund.amount : 0;
+  return booking.totalPrice ? round(payout * (booking.totalPrice - refunded) / booking.totalPrice) : 0;
+}
+
+// Approved stays, and approved stays later cancelled, beginning in `month`.
+function bookingsFor(db, month, callback) {
+  db.bookings.find({
+    checkIn: {$gte: month + '-01', $lt: nextMonth(month) + '-01'},
+    $or: [{status: 'approved'}, {status: 'cancelled', refund: {$exists: true}}]
+  }).sort({checkIn: 1}, callback);
+}
+
+// What a stay came to, from the quote it was booked at: the nights at each
+// price, any discount and the extra-guest and cleaning fees. Bookings made
+// before quotes were stored have a single line.
+function stayItems(booking, stay) {
+  if (!booking.quote) {
+    return [{label: 'Stay', amount: stay}];
+  }
+  return quotes.guestLines(booking.quote).filter(function(item) {
+    return ['nights', 'discount', 'extraGuestFee', 'cleaningFee'].indexOf(item.key) !== -1;
+  }).map(function(item) {
+    return {label: item.label, amount: item.amount};
+  });
+}
+
+// One statement line per booking, and totals for each currency the host's
+// adverts are priced in.
+function statement(hostBookings, advertsById) {
+  var totals = {};
+  var lines = hostBookings.map(function(booking) {
+    var currency = currencies.of(booking);
+    var quote = booking.quote || {};
+    var stay = quote.subtotal !== undefined ? quote.subtotal : booking.totalPrice || 0;
+    var line = {
+      bookingId: booking._id.toHexString(),
+      advertName: (advertsById[booking.advertId] || {name: 'A removed listing'}).name,
+      guestUsername: booking.guestUsername,
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut,
+      nights: (booking.nights || []).length,
+      currency: currency,
+      items: stayItems(booking, stay),
+      stay: stay,
+      serviceFee: quote.serviceFee || 0,
+      taxes: quote.taxes || 0,
+      commission: quote.hostCommission || 0,
+      refund: booking.status === 'cancelled' && booking.refund ? booking.refund.amount : 0,
+      earnings: hostEarnings(booking)
+    };
+    // What the host lost to a refund, so each line adds up.
+    line.adjustment = round(line.earnings - line.stay + line.commission);
+    var total = totals[currency] = totals[currency] || {stay: 0, serviceFee: 0, taxes: 0, commission: 0, adjustment: 0, earnings: 0};
+    ['stay', 'serviceFee', 'taxes', 'commission', 'adjustment', 'earnings'].forEach(function(key) {
+      total[key] = round(total[key] + line[key]);
+    });
+    return line;
+  });
+  return {lines: lines, totals: totals};
+}
+
+// Issues the statements for `month` to every host who had a stay begin in
+// it and hasn't had one yet. Numbers are given out in turn, host by host.
+// Calls back with the new invoices.
+function issue(db, month, callback) {
+  bookingsFor(db, month, function(err, found) {
+    if (err || !found.length) {
+      return callback(err, []);
+    }
+    db.invoices.find({month: month}, function(err, existing) {
+      if (err) {
+        return callback(err);
+      }
+      var invoiced = {};
+      existing.forEach(function(invoice) {
+        invoiced[invoice.hostId] = true;
+      });
+      var byHost = {};
+      found.forEach(function(booking) {
+        if (!invoiced[booking.hostId]) {
+          (byHost[booking.hostId] = byHost[booking.hostId] || []).push(booking);
+        }
+      });
+      var advertIds = found.map(function(booking) {
+        return mongojs.ObjectId(booking.advertId);
+      });
+      db.adverts.find({_id: {$in: advertIds}}, function(err, adverts) {
+        if (err) {
+          return callback(err);
+        }
+        var advertsById = {};
+        adverts.forEach(function(advert) {
+          advertsById[advert._id] = advert;
+        });
+        var issued = [];
+        var hostIds = Object.keys(byHost).sort();
+        (function nextHost() {
+          var hostId = hostIds.shift();
+          if (!hostId) {
+            return callback(null, issued);
+          }
+          counters.next(db, 'invoice', function(err, number) {
+            if (err) {
+              return callback(err, issued);
+            }
+            var invoice = statement(byHost[hostId], advertsById);
+            invoice.number = counters.label('INV', number);
+            invoice.hostId = hostId;
+            invoice.hostUsername = (advertsById[byHost[hostId][0].advertId] || {}).ownerUsername || null;
+            invoice.month = month;
+            invoice.issuedAt = new Date();
+            db.invoices.insert(invoice, function(err, inserted) {
+              if (err) {
+                return callback(err, issued);
+              }
+              issued.push(inserted);
+              nextHost();
+            });
+          });
+        })();
+      });
+    });
+  });
+}
+
+function forHost(db, hostId, callback) {
+  db.invoices.find({hostId: hostId}).sort({month: -1}, callback);
+}
+
+function describeMonth(month) {
+  var date = new Date(month + '-01T00:00:00Z');
+  return date.toLocaleString('en-GB', {month: 'long', year: 'numeric', timeZone: 'UTC'});
+}
+
+function render(invoice) {
+  var text = [
+    {text: 'Makers BnB', bold: true, size: 16},
+    {text: 'Statement ' + invoice.number + ' - ' + describeMonth(invoice.month), bold: true},
+    'Issued ' + nights.toDateString(nights.of(invoice.issuedAt)),
+    'Host: ' + (invoice.hostUsername || invoice.hostId),
+    ''
+  ];
+  invoice.lines.forEach(function(line) {
+    var money = function(amount) {
+      return currencies.format(amount, line.currency);
+    };
+    text.push({text: line.advertName + ', ' + line.guestUsername, bold: true});
+    text.push(nights.toDateString(line.checkIn) + ' - ' + nights.toDateString(line.checkOut) +
+      ' (' + line.nights + (line.nights === 1 ? ' night' : ' nights') + ')');
+    (line.items || [{label: 'Stay, with fees and discounts', amount: line.stay}]).forEach(function(item) {
+      text.push(pdf.row('  ' + item.label, money(item.amount)));
+    });
+    text.push(pdf.row('  Stay', money(line.stay)));
+    if (line.serviceFee || line.taxes) {
+      text.push(pdf.row('  Guest paid the site a service fee', money(line.serviceFee)));
+      text.push(pdf.row('  and VAT on it', money(line.taxes)));
+    }
+    text.push(pdf.row('  Commission', money(-line.commission)));
+    if (line.adjustment) {
+      text.push(pdf.row('  Cancelled' + (line.refund ? '; guest refunded ' + money(line.refund) : ''), money(line.adjustment)));
+    }
+    text.push(pdf.row('  You earned', money(line.earnings)));
+    text.push('');
+  });
+  Object.keys(invoice.totals).sort().forEach(function(currency) {
+    var total = invoice.totals[currency];
+    text.push({text: 'Totals in ' + currency, bold: true});
+    text.push(pdf.row('Stays', currencies.format(total.stay, currency)));
+    if (total.serviceFee || total.taxes) {
+      text.push(pdf.row('Service fees paid by guests', currencies.format(total.serviceFee || 0, currency)));
+      text.push(pdf.row('VAT on service fees', currencies.format(total.taxes || 0, currency)));
+    }
+    text.push(pdf.row('Commission', currencies.format(-total.commission, currency)));
+    if (total.adjustment) {
+      text.push(pdf.row('Cancellations', currencies.format(total.adjustment, currency)));
+    }
+    text.push({text: pdf.row('You earned', currencies.format(total.earnings, currency)), bold: true});
+    text.push('');
+  });
+  return pdf.render(text);
+}
+
+// Issues last month's statements now and then every few hours for as long
+// as the process runs, so a month is invoiced soon after it ends.
+// Issues the statements of every month that is over and hasn't had them
+// all yet, so a month isn't missed when the app was down as it ended. It
+// starts from the last month anything was issued for, in case that run
+// stopped part way, or from the first stay ever approved. Calls back with
+// the new invoices.
+function issueDue(db, now, callback) {
+  var lastMonth = previousMonth(monthOf(now));
+  db.invoices.find({}).sort({month: -1}).limit(1, function(err, latest) {
+    if (err) {
+      return callback(err, []);
+    }
+    db.bookings.find({
+      checkIn: {$exists: true},
+      $or: [{status: 'approved'}, {status: 'cancelled', refund: {$exists: true}}]
+    }).sort({checkIn: 1}).limit(1, function(err, first) {
+      if (err || !first.length) {
+        return callback(err, []);
+      }
+      var month = latest.length ? latest[0].month : monthOf(first[0].checkIn);
+      var issued = [];
+      (function nextDue() {
+        if (month > lastMonth) {
+          return callback(null, issued);
+        }
+        issue(db, month, function(err, invoices) {
+          issued = issued.concat(invoices || []);
+          if (err) {
+            return callback(err, issued);
+          }
+          month = nextMonth(month);
+          nextDue();
+        });
+      })();
+    });
+  });
+}
+
+function schedule(db, log) {
+  var options = settings();
+  function run() {
+    issueDue(db, new Date(), function(err, issued) {
+      if (err) {
+        return log(err);
+      }
+      if (issued.length) {
+        log('Issued ' + issued.length + ' host statements');
+      }
+    });
+  }
+  run();
+  return setInterval(run, options.runHours * HOUR).unref();
+}
+
+module.exports = {
+  settings: settings,
+  monthOf: monthOf,
+  previousMonth: previousMonth,
+  hostEarnings: hostEarnings,
+  statement: statement,
+  issue: issue,
+  issueDue: issueDue,
+  forHost: forHost,
+  describeMonth: describeMonth,
+  render: render,
+  schedule: schedule
+};
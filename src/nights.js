@@ -0,0 +1,111 @@
+// A night is stored as the 'YYYY-MM-DD' string of the evening the guest
+// arrives, so nights compare and sort as plain strings.
+
+var NIGHT_FORMAT = /^(\d{4})-(\d{2})-(\d{2})$/;
+var DAY = 24 * 60 * 60 * 1000;
+// Nights outside these years are refused rather than stored, so nothing
+// steps past 9999 or walks a range thousands of years long.
+var FIRST_YEAR = 1970;
+var LAST_YEAR = 2100;
+// The longest stay anyone can ask for, whatever the host allows.
+var MAX_STAY_NIGHTS = 365;
+
+function pad(number) {
+  return (number < 10 ? '0' : '') + number;
+}
+
+// Whether `night` is a real day, so 2024-02-30 and 2024-13-45 aren't, in a
+// year between FIRST_YEAR and LAST_YEAR.
+function isValid(night) {
+  var parts = NIGHT_FORMAT.exec(night);
+  if (!parts || parts[1] < FIRST_YEAR || parts[1] > LAST_YEAR) {
+    return false;
+  }
+  return fromUTC(Date.UTC(parts[1], parts[2] - 1, parts[3])) === night;
+}
+
+function normalise(value) {
+  if (!value) {
+    return null;
+  }
+  if (NIGHT_FORMAT.test(value)) {
+    return isValid(value) ? value : null;
+  }
+  var date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  var night = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+  return isValid(night) ? night : null;
+}
+
+function toUTC(night) {
+  var parts = NIGHT_FORMAT.exec(night);
+  return Date.UTC(parts[1], parts[2] - 1, parts[3]);
+}
+
+function fromUTC(time) {
+  var date = new Date(time);
+  return date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' + pad(date.getUTCDate());
+}
+
+function addDays(night, days) {
+  return fromUTC(toUTC(night) + days * DAY);
+}
+
+// Every night from `first` to `last`, both included, or none when either
+// isn't a valid night.
+function range(first, last) {
+  var list = [];
+  if (!isValid(first) || !isValid(last)) {
+    return list;
+  }
+  for(var night = first; night <= last; night = addDays(night, 1)) {
+    list.push(night);
+  }
+  return list;
+}
+
+// The same day `months` later, or the month's last day when it is shorter.
+function addMonths(night, months) {
+  var parts = NIGHT_FORMAT.exec(night);
+  var month = parts[2] - 1 + months;
+  var lastDay = new Date(Date.UTC(parts[1], month + 1, 0)).getUTCDate();
+  return fromUTC(Date.UTC(parts[1], month, Math.min(Number(parts[3]), lastDay)));
+}
+
+// Whole days from one night to another; negative when `to` comes first.
+function daysBetween(from, to) {
+  return Math.round((toUTC(to) - toUTC(from)) / DAY);
+}
+
+// The night a moment falls on in the server's time zone.
+function of(date) {
+  return normalise(date || new Date());
+}
+
+// The nights of a stay: from check-in up to, but not including, check-out.
+// A stay longer than MAX_STAY_NIGHTS has none, so its nights are never listed.
+function stay(checkIn, checkOut) {
+  if (!checkIn || !checkOut || checkOut <= checkIn || daysBetween(checkIn, checkOut) > MAX_STAY_NIGHTS) {
+    return [];
+  }
+  return range(checkIn, addDays(checkOut, -1));
+}
+
+function toDateString(night) {
+  var parts = NIGHT_FORMAT.exec(night);
+  return new Date(parts[1], parts[2] - 1, parts[3]).toDateString();
+}
+
+module.exports = {
+  MAX_STAY_NIGHTS: MAX_STAY_NIGHTS,
+  normalise: normalise,
+  addDays: addDays,
+  addMonths: addMonths,
+  range: range,
+  stay: stay,
+  daysBetween: daysBetween,
+  of: of,
+  toDateString: toDateString
+};
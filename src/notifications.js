@@ -0,0 +1,24 @@
+// Messages for a user that are shown the next time they visit the site.
+
+function notify(db, userId, message, callback) {
+  db.notifications.insert({
+    userId: userId,
+    message: message,
+    read: false,
+    createdAt: new Date()
+  }, callback);
+}
+
+function unreadFor(db, userId, callback) {
+  db.notifications.find({userId: userId, read: false}).sort({createdAt: 1}, callback);
+}
+
+function markRead(db, userId, callback) {
+  db.notifications.update({userId: userId, read: false}, {$set: {read: true}}, {multi: true}, callback);
+}
+
+module.exports = {
+  notify: notify,
+  unreadFor: unreadFor,
+  markRead: markRead
+};
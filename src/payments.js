@@ -0,0 +1,285 @@
+var mongojs = require('mongojs');
+var createMockGateway = require('./gateways/mock');
+var createStripeGateway = require('./gateways/stripe');
+
+// Money for a booking moves through a payment gateway: the guest's card is
+// authorised when they request a stay, captured when the host approves,
+// voided if the request is declined, expires or is withdrawn, and refunded
+// on cancellation. Every gateway has the same interface, with callbacks
+// answering {id, status, actionUrl, message}:
+//
+//   authorise({amount, currency, card, returnUrl, reference}, callback)
+//                                 also answers with a `paymentMethod`
+//   authorise({amount, currency, savedMethod, returnUrl, reference}, callback)
+//                                 charges that `paymentMethod` again without
+//                                 the guest; never from what a browser sent
+//   retrieve(id, callback)
+//   capture(id, amount, currency, callback)
+//   cancel(id, callback)          voids an authorisation
+//   refund(id, amount, currency, callback)
+//
+// Statuses are authorised, requires_action (the guest must pass 3-D Secure
+// at actionUrl, then comes back to returnUrl), declined, captured, voided
+// and refunded. A decline is an answer, not an error; errors are for a
+// gateway that couldn't be reached or refused the request.
+//
+// Each payment is kept in the `payments` collection with the history of what
+// happened to it.
+
+// Which gateway to use, set from the environment: `mock` or `stripe`, which
+// needs STRIPE_SECRET_KEY and, for the card form, STRIPE_PUBLISHABLE_KEY.
+// Production uses Stripe unless told otherwise; everywhere else the mock.
+function settings() {
+  return {
+    gateway: process.env.PAYMENT_GATEWAY || (process.env.NODE_ENV === 'production' ? 'stripe' : 'mock'),
+    stripeSecretKey: process.env.STRIPE_SECRET_KEY || null,
+    stripePublishableKey: process.env.STRIPE_PUBLISHABLE_KEY || null
+  };
+}
+
+function createGateway(options) {
+  if (options.gateway === 'stripe') {
+    return createStripeGateway({secretKey: options.stripeSecretKey});
+  }
+  return createMockGateway();
+}
+
+var shared = null;
+
+// The gateway the app uses, made on first use.
+function gateway() {
+  return shared = shared || createGateway(settings());
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Stores what the gateway said about a payment, with `event` and the
+// amount it was for in its history. `changes` are any other fields to set.
+function record(db, payment, event, amount, answer, changes, callback) {
+  var now = new Date();
+  var update = {
+    status: answer.status,
+    message: answer.message,
+    actionUrl: answer.actionUrl,
+    updatedAt: now
+  };
+  if (answer.paymentMethod) {
+    update.paymentMethod = answer.paymentMethod;
+  }
+  Object.keys(changes).forEach(function(key) {
+    update[key] = changes[key];
+  });
+  db.payments.findAndModify({
+    query: {_id: payment._id},
+    update: {$set: update, $push: {events: {type: event, status: answer.status, amount: amount, at: now}}},
+    new: true
+  }, callback);
+}
+
+// Authorises a payment. `details` are {purpose, bookingId, amount, currency,
+// card or savedMethod, siteUrl}; the guest comes back to the site's /payments/:id/return
+// after any 3-D Secure check. Calls back with the stored payment, whatever
+// the gateway decided.
+function authorise(db, gateway, details, callback) {
+  var id = mongojs.ObjectId();
+  gateway.authorise({
+    amount: details.amount,
+    currency: details.currency,
+    card: details.card,
+    savedMethod: details.savedMethod,
+    returnUrl: details.siteUrl + '/payments/' + id.toHexString() + '/return',
+    reference: details.purpose + ':' + (details.bookingId || id.toHexString())
+  }, function(err, answer) {
+    if (err) {
+      return callback(err);
+    }
+    var now = new Date();
+    var payment = {
+      _id: id,
+      purpose: details.purpose,
+      bookingId: details.bookingId || null,
+      gateway: gateway.name,
+      gatewayId: answer.id,
+      amount: details.amount,
+      currency: details.currency,
+      status: answer.status,
+      message: answer.message,
+      actionUrl: answer.actionUrl,
+      paymentMethod: answer.paymentMethod || null,
+      captured: 0,
+      refunded: 0,
+      events: [{type: 'authorise', status: answer.status, amount: details.amount, at: now}],
+      createdAt: now,
+      updatedAt: now
+    };
+    db.payments.insert(payment, callback);
+  });
+}
+
+// Ties a payment authorised before its booking existed to the booking.
+function attach(db, payment, bookingId, callback) {
+  db.payments.findAndModify({query: {_id: payment._id}, update: {$set: {bookingId: bookingId}}, new: true}, callback);
+}
+
+function forBooking(db, bookingId, purpose, callback) {
+  db.payments.findOne({bookingId: bookingId, purpose: purpose}, callback);
+}
+
+function find(db, paymentId, callback) {
+  db.payments.findOne({_id: mongojs.ObjectId(paymentId)}, callback);
+}
+
+// Where the guest can finish paying for each of `bookingIds` still waiting
+// on 3-D Secure, by booking id.
+function awaitingAction(db, bookingIds, callback) {
+  db.payments.find({bookingId: {$in: bookingIds}, purpose: 'stay', status: 'requires_action'}, function(err, docs) {
+    var actionUrls = {};
+    (docs || []).forEach(function(payment) {
+      actionUrls[payment.bookingId] = payment.actionUrl;
+    });
+    callback(err, actionUrls);
+  });
+}
+
+// Asks the gateway how a payment stands, as after a 3-D Secure check.
+function refresh(db, gateway, payment, callback) {
+  gateway.retrieve(payment.gatewayId, function(err, answer) {
+    if (err) {
+      return callback(err);
+    }
+    record(db, payment, 'refresh', null, answer, {}, callback);
+  });
+}
+
+function capture(db, gateway, payment, amount, callback) {
+  gateway.capture(payment.gatewayId, amount, payment.currency, function(err, answer) {
+    if (err) {
+      return callback(err);
+    }
+    record(db, payment, 'capture', amount, answer, {captured: amount}, callback);
+  });
+}
+
+function cancel(db, gateway, payment, callback) {
+  gateway.cancel(payment.gatewayId, function(err, answer) {
+    if (err) {
+      return callback(err);
+    }
+    record(db, payment, 'void', null, answer, {}, callback);
+  });
+}
+
+function refund(db, gateway, payment, amount, callback) {
+  gateway.refund(payment.gatewayId, amount, payment.currency, function(err, answer) {
+    if (err) {
+      return callback(err);
+    }
+    record(db, payment, 'refund', amount, answer, {refunded: round(payment.refunded + amount)}, callback);
+  });
+}
+
+// Brings a booking's payment into line with the booking: captured once it
+// is approved; voided if the request didn't go ahead; and on cancellation
+// refunded what the guest is owed, or, if it was never captured, captured
+// for what they aren't. Calls back with the payment, or null when there was
+// nothing to do.
+function settle(db, gateway, booking, callback) {
+  forBooking(db, booking._id.toHexString(), 'stay', function(err, payment) {
+    if (err || !payment) {
+      return callback(err, null);
+    }
+    var held = payment.status === 'authorised';
+    var unfinished = held || payment.status === 'requires_action';
+    var owed = booking.refund ? booking.refund.amount : 0;
+    if (booking.status === 'approved' && held) {
+      return capture(db, gateway, payment, payment.amount, callback);
+    }
+    if (booking.status === 'cancelled' && booking.refund) {
+      if (held && payment.amount > owed) {
+        return capture(db, gateway, payment, round(payment.amount - owed), callback);
+      }
+      if (payment.captured && owed > payment.refunded) {
+        return refund(db, gateway, payment, round(owed - payment.refunded), callback);
+      }
+    }
+    if (booking.status !== 'pending' && booking.status !== 'approved' && unfinished) {
+      return cancel(db, gateway, payment, callback);
+    }
+    callback(null, null);
+  });
+}
+
+// A stay's payment is tied to its booking moments after it is authorised,
+// so one still without a booking this long after was left behind by a
+// request that couldn't be stored.
+var ORPHAN_MINUTES = 60;
+
+// Settles the payments left hanging by bookings that have moved on without
+// them, such as requests denied when an overlapping one was approved, voids
+// any left without a booking, and retries any that failed. `options.now`
+// defaults to the current time. Calls back with the payments it changed.
+function sweep(db, gateway, options, callback) {
+  var now = options.now || new Date();
+  db.payments.find({purpose: 'stay', status: {$in: ['authorised', 'requires_action']}}, function(err, open) {
+    if (err || !open.length) {
+      return callback(err, []);
+    }
+    var orphaned = open.filter(function(payment) {
+      return !payment.bookingId && now - payment.createdAt >= ORPHAN_MINUTES * 60 * 1000;
+    });
+    var bookingIds = open.filter(function(payment) {
+      return payment.bookingId;
+    }).map(function(payment) {
+      return mongojs.ObjectId(payment.bookingId);
+    });
+    db.bookings.find({_id: {$in: bookingIds}, status: {$ne: 'pending'}}, function(err, moved) {
+      if (err) {
+        return callback(err, []);
+      }
+      var tasks = moved.map(function(booking) {
+        return function(done) {
+          settle(db, gateway, booking, done);
+        };
+      }).concat(orphaned.map(function(payment) {
+        return function(done) {
+          cancel(db, gateway, payment, done);
+        };
+      }));
+      if (!tasks.length) {
+        return callback(null, []);
+      }
+      var settled = [];
+      var remaining = tasks.length;
+      tasks.forEach(function(task) {
+        task(function(failure, payment) {
+          err = err || failure;
+          if (payment) {
+            settled.push(payment);
+          }
+          if (--remaining === 0) {
+            callback(err, settled);
+          }
+        });
+      });
+    });
+  });
+}
+
+module.exports = {
+  settings: settings,
+  createGateway: createGateway,
+  gateway: gateway,
+  authorise: authorise,
+  attach: attach,
+  forBooking: forBooking,
+  find: find,
+  awaitingAction: awaitingAction,
+  refresh: refresh,
+  capture: capture,
+  cancel: cancel,
+  refund: refund,
+  settle: settle,
+  sweep: sweep
+};
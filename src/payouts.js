@@ -0,0 +1,380 @@
+var mongojs = require('mongojs');
+var counters = require('./counters');
+var currencies = require('./currencies');
+var invoices = require('./invoices');
+var nights = require('./nights');
+var pdf = require('./pdf');
+
+var HOUR = 60 * 60 * 1000;
+
+// What the site owes hosts is kept as a ledger, the `ledger` collection.
+// Each approved stay accrues the host's earnings after commission, and later
+// changes to what the host keeps, a cancellation refund or a deposit claim,
+// accrue as entries of their own, so the entries for a booking always add up
+// to what the host earned from it. Money is held until `holdHours` after the
+// start of the check-in day.
+//
+// Every `runHours` a payout run pays each host everything that has come out
+// of its hold, in each currency, as long as it comes to more than nothing.
+// The run is numbered PO-000001 onwards in `payoutRuns`, with a report for
+// each host in `payouts`, and entries paid in a run are marked with its id.
+
+// How long earnings are held and how often payouts are run, which can be set
+// from the environment.
+function settings() {
+  return {
+    holdHours: Number(process.env.PAYOUT_HOLD_HOURS) || 24,
+    runHours: Number(process.env.PAYOUT_RUN_HOURS) || 24
+  };
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function availableAt(booking, holdHours) {
+  return new Date(new Date(booking.checkIn + 'T00:00:00Z').getTime() + holdHours * HOUR);
+}
+
+// What a host should have been credited for a booking so far, by kind of
+// entry: the stay, less anything refunded on cancellation, and anything kept
+// from the deposit for a claim.
+function earnedFrom(booking) {
+  var earned = {stay: invoices.hostEarnings(booking)};
+  if (booking.deposit && booking.deposit.status === 'captured') {
+    earned.claim = booking.deposit.captured;
+  }
+  return earned;
+}
+
+function describeEntry(kind, booking, advertName, first) {
+  var stay = advertName + ', ' + booking.guestUsername + ', ' +
+    nights.toDateString(booking.checkIn) + ' - ' + nights.toDateString(booking.checkOut);
+  if (kind === 'claim') {
+    return 'Deposit claim: ' + stay;
+  }
+  return (first ? 'Stay: ' : 'Cancelled: ') + stay;
+}
+
+// The entries that would bring the ledger up to date with every approved
+// booking, or those of `options.hostId`: one for whatever has changed since
+// the ledger last looked.
+function unrecorded(db, options, callback) {
+  var now = options.now || new Date();
+  var query = {$or: [{status: 'approved'}, {status: 'cancelled', refund: {$exists: true}}]};
+  if (options.hostId) {
+    query.hostId = options.hostId;
+  }
+  db.bookings.find(query, function(err, found) {
+    if (err || !found.length) {
+      return callback(err, []);
+    }
+    var bookingIds = found.map(function(booking) {
+      return booking._id.toHexString();
+    });
+    db.ledger.find({bookingId: {$in: bookingIds}}, function(err, existing) {
+      if (err) {
+        return callback(err);
+      }
+      var credited = {};
+      existing.forEach(function(entry) {
+        var sums = credited[entry.bookingId] = credited[entry.bookingId] || {};
+        var kind = entry.kind === 'claim' ? 'claim' : 'stay';
+        sums[kind] = round((sums[kind] || 0) + entry.amount);
+      });
+      db.adverts.find({_id: {$in: found.map(function(booking) {
+        return mongojs.ObjectId(booking.advertId);
+      })}}, function(err, adverts) {
+        if (err) {
+          return callback(err);
+        }
+        var names = {};
+        adverts.forEach(function(advert) {
+          names[advert._id] = advert.name;
+        });
+        var holdHours = options.holdHours || settings().holdHours;
+        var entries = [];
+        found.forEach(function(booking) {
+          var bookingId = booking._id.toHexString();
+          var sums = credited[bookingId] || {};
+          var earned = earnedFrom(booking);
+          Object.keys(earned).forEach(function(kind) {
+            var amount = round(earned[kind] - (sums[kind] || 0));
+            var first = sums[kind] === undefined;
+            if (!amount) {
+              return;
+            }
+            var held = availableAt(booking, holdHours);
+            entries.push({
+              hostId: booking.hostId,
+              bookingId: bookingId,
+              advertId: booking.advertId,
+              kind: kind === 'stay' && !first ? 'cancellation' : kind,
+              description: describeEntry(kind, booking, names[booking.advertId] || 'A removed listing', first),
+              currency: currencies.of(booking),
+              amount: amount,
+              availableAt: held > now ? held : now,
+              createdAt: now,
+              runId: null
+            });
+          });
+        });
+        callback(null, entries);
+      });
+    });
+  });
+}
+
+// Adds the unrecorded entries to the ledger. Only payout runs do, one at a
+// time, so nothing is ever credited twice. Calls back with the new entries.
+function accrue(db, options, callback) {
+  unrecorded(db, options, function(err, entries) {
+    if (err || !entries.length) {
+      return callback(err, []);
+    }
+    db.ledger.insert(entries, callback);
+  });
+}
+
+// Adds `entries` up by currency.
+function totalsOf(entries) {
+  var totals = {};
+  entries.forEach(function(entry) {
+    totals[entry.currency] = round((totals[entry.currency] || 0) + entry.amount);
+  });
+  return totals;
+}
+
+// What a host is owed and hasn't been paid, by currency: `held` until the
+// hold on it ends and `available` for the next run, counting earnings the
+// next run will add to the ledger. Calls back with {held, available,
+// entries}.
+function balance(db, hostId, now, callback) {
+  unrecorded(db, {hostId: hostId, now: now}, function(err, upcoming) {
+    if (err) {
+      return callback(err);
+    }
+    db.ledger.find({hostId: hostId, runId: null}, function(err, unpaid) {
+      if (err) {
+        return callback(err);
+      }
+      unpaid = unpaid.concat(upcoming).sort(function(a, b) {
+        return a.availableAt - b.availableAt;
+      });
+      callback(null, {
+        held: totalsOf(unpaid.filter(function(entry) { return entry.availableAt > now; })),
+        available: totalsOf(unpaid.filter(function(entry) { return entry.availableAt <= now; })),
+        entries: unpaid
+      });
+    });
+  });
+}
+
+// Groups entries that are out of their hold by host and currency, leaving
+// out any group that doesn't come to more than nothing.
+function payable(entries) {
+  var groups = {};
+  entries.forEach(function(entry) {
+    var key = entry.hostId + ' ' + entry.currency;
+    (groups[key] = groups[key] || []).push(entry);
+  });
+  return Object.keys(groups).reduce(function(picked, key) {
+    var group = groups[key];
+    return totalsOf(group)[group[0].currency] > 0 ? picked.concat(group) : picked;
+  }, []);
+}
+
+// Accrues, then pays every host what is due to them. Entries are marked
+// with the run before the reports are written, so an entry is only ever
+// paid once. Calls back with the run, or null when nothing was due.
+function run(db, options, callback) {
+  var now = options.now || new Date();
+  accrue(db, {now: now, holdHours: options.holdHours}, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    db.ledger.find({runId: null, availableAt: {$lte: now}}, function(err, due) {
+      if (err) {
+        return callback(err);
+      }
+      var ids = payable(due).map(function(entry) {
+        return entry._id;
+      });
+      if (!ids.length) {
+        return callback(null, null);
+      }
+      var runId = mongojs.ObjectId();
+      db.ledger.update({_id: {$in: ids}, runId: null}, {$set: {runId: runId.toHexString()}}, {multi: true}, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        db.ledger.find({runId: runId.toHexString()}).sort({availableAt: 1}, function(err, paid) {
+          if (err || !paid.length) {
+            return callback(err, null);
+          }
+          counters.next(db, 'payoutRun', function(err, number) {
+            if (err) {
+              return callback(err);
+            }
+            report(db, {
+              _id: runId,
+              number: counters.label('PO', number),
+              ranAt: now,
+              hostCount: 0,
+              entryCount: paid.length,
+              totals: totalsOf(paid)
+            }, paid, callback);
+          });
+        });
+      });
+    });
+  });
+}
+
+// Writes a run and the report for each host paid in it.
+function report(db, payoutRun, paid, callback) {
+  var byHost = {};
+  paid.forEach(function(entry) {
+    (byHost[entry.hostId] = byHost[entry.hostId] || []).push(entry);
+  });
+  var hostIds = Object.keys(byHost).sort();
+  payoutRun.hostCount = hostIds.length;
+  db.users.find({_id: {$in: hostIds.map(function(hostId) {
+    return mongojs.ObjectId(hostId);
+  })}}, function(err, hosts) {
+    if (err) {
+      return callback(err);
+    }
+    var usernames = {};
+    hosts.forEach(function(host) {
+      usernames[host._id] = host.username;
+    });
+    var reports = hostIds.map(function(hostId) {
+      return {
+        runId: payoutRun._id.toHexString(),
+        number: payoutRun.number,
+        hostId: hostId,
+        hostUsername: usernames[hostId] || null,
+        paidAt: payoutRun.ranAt,
+        lines: byHost[hostId].map(function(entry) {
+          return {
+            entryId: entry._id.toHexString(),
+            bookingId: entry.bookingId,
+            kind: entry.kind,
+            description: entry.description,
+            currency: entry.currency,
+            amount: entry.amount
+          };
+        }),
+        totals: totalsOf(byHost[hostId])
+      };
+    });
+    db.payouts.insert(reports, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      db.payoutRuns.insert(payoutRun, callback);
+    });
+  });
+}
+
+function forHost(db, hostId, callback) {
+  db.payouts.find({hostId: hostId}).sort({paidAt: -1}, callback);
+}
+
+function runs(db, callback) {
+  db.payoutRuns.find({}).sort({ranAt: -1}, callback);
+}
+
+function describeTotals(totals) {
+  return Object.keys(totals).sort().map(function(currency) {
+    return currencies.format(totals[currency], currency);
+  }).join(' + ') || currencies.format(0, currencies.BASE_CURRENCY);
+}
+
+// A host's report for a run as a PDF.
+function render(payout) {
+  var text = [
+    {text: 'Makers BnB', bold: true, size: 16},
+    {text: 'Payout ' + payout.number, bold: true},
+    'Paid ' + nights.toDateString(nights.of(payout.paidAt)),
+    'Host: ' + (payout.hostUsername || payout.hostId),
+    ''
+  ];
+  payout.lines.forEach(function(line) {
+    text.push(line.description);
+    text.push(pdf.row('', currencies.format(line.amount, line.currency)));
+  });
+  text.push('');
+  Object.keys(payout.totals).sort().forEach(function(currency) {
+    text.push({text: pdf.row('Paid in ' + currency, currencies.format(payout.totals[currency], currency)), bold: true});
+  });
+  return pdf.render(text);
+}
+
+// Text from users, such as usernames, is kept from being read as a formula
+// by a spreadsheet opening the file. Amounts, negative ones included, are
+// left as numbers.
+function csvField(value) {
+  var text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = '\'' + text;
+  }
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// Every entry paid in a run, one row each, for finance to reconcile against
+// the bank. Amounts are plain numbers in the row's currency.
+function csv(payoutRun, reports) {
+  var rows = [['run', 'paid_at', 'host_id', 'host_username', 'entry_id', 'booking_id', 'kind', 'description', 'currency', 'amount']];
+  reports.forEach(function(payout) {
+    payout.lines.forEach(function(line) {
+      rows.push([
+        payoutRun.number,
+        payoutRun.ranAt.toISOString(),
+        payout.hostId,
+        payout.hostUsername,
+        line.entryId,
+        line.bookingId,
+        line.kind,
+        line.description,
+        line.currency,
+        line.amount.toFixed(2)
+      ]);
+    });
+  });
+  return rows.map(function(row) {
+    return row.map(csvField).join(',');
+  }).join('\r\n') + '\r\n';
+}
+
+// Runs payouts now and then every few hours for as long as the process runs.
+function schedule(db, log) {
+  var options = settings();
+  function go() {
+    run(db, {holdHours: options.holdHours}, function(err, paid) {
+      if (err) {
+        return log(err);
+      }
+      if (paid) {
+        log('Payout run ' + paid.number + ' paid ' + paid.hostCount + ' hosts');
+      }
+    });
+  }
+  go();
+  return setInterval(go, options.runHours * HOUR).unref();
+}
+
+module.exports = {
+  settings: settings,
+  availableAt: availableAt,
+  accrue: accrue,
+  balance: balance,
+  run: run,
+  forHost: forHost,
+  runs: runs,
+  describeTotals: describeTotals,
+  render: render,
+  csv: csv,
+  schedule: schedule
+};
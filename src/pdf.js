@@ -0,0 +1,102 @@
+// Just enough of a PDF writer for receipts and statements: A4 pages of text
+// in the standard Courier fonts, which every PDF reader has built in, so
+// nothing needs installing and amounts line up in columns by padding alone.
+// Text goes out in WinAnsi encoding, which covers the pound, euro and yen
+// signs; anything it can't show becomes a question mark.
+
+var PAGE_WIDTH = 595;
+var PAGE_HEIGHT = 842;
+var MARGIN = 56;
+var FONT_SIZE = 10;
+
+// Characters a line can hold at the normal size; Courier is 0.6em wide.
+var WIDTH = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+function encode(text) {
+  return String(text).split('').map(function(character) {
+    var code = character.charCodeAt(0);
+    if (character === '€') {
+      return '\x80';
+    }
+    return code < 32 || (code > 126 && code < 160) || code > 255 ? '?' : character;
+  }).join('').replace(/[\\()]/g, '\\$&');
+}
+
+// A line with `label` on the left and `amount` against the right margin.
+function row(label, amount) {
+  label = String(label);
+  amount = String(amount);
+  var room = WIDTH - amount.length - 1;
+  if (label.length > room) {
+    label = label.slice(0, room - 3) + '...';
+  }
+  return label + new Array(WIDTH - label.length - amount.length + 1).join(' ') + amount;
+}
+
+// Splits lines into pages. Each line is a string or {text, bold, size}.
+function paginate(lines) {
+  var pages = [[]];
+  var y = PAGE_HEIGHT - MARGIN;
+  lines.forEach(function(line) {
+    if (typeof line === 'string') {
+      line = {text: line};
+    }
+    var size = line.size || FONT_SIZE;
+    var leading = Math.round(size * 1.4);
+    if (y - leading < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= leading;
+    pages[pages.length - 1].push({text: line.text, bold: line.bold, size: size, y: y});
+  });
+  return pages;
+}
+
+function contentOf(page) {
+  return page.map(function(line) {
+    return 'BT /' + (line.bold ? 'F2' : 'F1') + ' ' + line.size + ' Tf ' + MARGIN + ' ' + line.y +
+      ' Td (' + encode(line.text) + ') Tj ET';
+  }).join('\n');
+}
+
+// The PDF file, as a Buffer, for the given lines.
+function render(lines) {
+  var pages = paginate(lines);
+  var objects = [];
+  var pageIds = pages.map(function(page, index) {
+    return 5 + index * 2;
+  });
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = '<< /Type /Pages /Kids [' + pageIds.map(function(id) {
+    return id + ' 0 R';
+  }).join(' ') + '] /Count ' + pages.length + ' >>';
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+  pages.forEach(function(page, index) {
+    var content = contentOf(page);
+    objects[pageIds[index]] = '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + PAGE_WIDTH + ' ' + PAGE_HEIGHT + ']' +
+      ' /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ' + (pageIds[index] + 1) + ' 0 R >>';
+    objects[pageIds[index] + 1] = '<< /Length ' + Buffer.byteLength(content, 'latin1') + ' >>\nstream\n' + content + '\nendstream';
+  });
+
+  var output = '%PDF-1.4\n';
+  var offsets = [];
+  for (var id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(output, 'latin1');
+    output += id + ' 0 obj\n' + objects[id] + '\nendobj\n';
+  }
+  var xref = Buffer.byteLength(output, 'latin1');
+  output += 'xref\n0 ' + objects.length + '\n0000000000 65535 f \n';
+  for (id = 1; id < objects.length; id++) {
+    output += ('0000000000' + offsets[id]).slice(-10) + ' 00000 n \n';
+  }
+  output += 'trailer\n<< /Size ' + objects.length + ' /Root 1 0 R >>\nstartxref\n' + xref + '\n%%EOF\n';
+  return Buffer.from(output, 'latin1');
+}
+
+module.exports = {
+  WIDTH: WIDTH,
+  row: row,
+  render: render
+};
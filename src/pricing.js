@@ -0,0 +1,157 @@
+var mongojs = require('mongojs');
+var nights = require('./nights');
+
+// Hosts can vary an advert's nightly price with rules kept in
+// `advert.pricing`:
+//
+//   overrides: [{id, start, end, price, label}] date ranges, such as
+//              Christmas week, with a price of their own
+//   weekdayPrices: seven prices (or nulls) by day of the week, Sunday first
+//   weekendSurchargePercent: added to Friday and Saturday nights
+//
+// A night's price comes from the first of these that applies:
+//   1. a date-range override covering it, the shortest one if several do;
+//   2. the price for its day of the week, plus the weekend surcharge;
+//   3. the advert's base price, plus the weekend surcharge.
+// Overrides are final, so a weekend inside one isn't surcharged again.
+
+var DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+var WEEKEND = [5, 6];
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Reads an amount of money typed into a form, such as '45', '£45.50',
+// '$45' or '1,200'. Blank, negative or unreadable amounts come back as null.
+function money(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  var number = parseFloat(String(value).replace(/[£€$¥,\s]/g, ''));
+  return isNaN(number) || number < 0 ? null : round(number);
+}
+
+function dayOf(night) {
+  return new Date(night + 'T00:00:00Z').getUTCDay();
+}
+
+function isWeekend(night) {
+  return WEEKEND.indexOf(dayOf(night)) !== -1;
+}
+
+function rulesOf(advert) {
+  var pricing = advert.pricing || {};
+  return {
+    overrides: pricing.overrides || [],
+    weekdayPrices: pricing.weekdayPrices || [],
+    weekendSurchargePercent: pricing.weekendSurchargePercent || 0
+  };
+}
+
+function overrideFor(rules, night) {
+  var best = null;
+  rules.overrides.forEach(function(override) {
+    if (night >= override.start && night <= override.end &&
+        (!best || nights.daysBetween(override.start, override.end) < nights.daysBetween(best.start, best.end))) {
+      best = override;
+    }
+  });
+  return best;
+}
+
+// The price of one night and the rule it came from: 'override', 'weekday'
+// or 'base', with a label for overrides and surcharged weekend nights.
+function priceOf(advert, night) {
+  var rules = rulesOf(advert);
+  var override = overrideFor(rules, night);
+  if (override) {
+    return {night: night, price: override.price, rule: 'override', label: override.label || null};
+  }
+  var weekday = rules.weekdayPrices[dayOf(night)];
+  var hasWeekday = weekday !== null && weekday !== undefined;
+  var price = hasWeekday ? weekday : money(advert.price) || 0;
+  var surcharged = rules.weekendSurchargePercent && isWeekend(night);
+  return {
+    night: night,
+    price: surcharged ? round(price * (1 + rules.weekendSurchargePercent / 100)) : price,
+    rule: hasWeekday ? 'weekday' : 'base',
+    label: surcharged ? 'weekend' : null
+  };
+}
+
+// Groups a stay's nights by what they cost, in the order each price first
+// comes up, e.g. [{price: 80, label: 'weekend', nights: [...], amount: 160}].
+function breakdown(advert, stayNights) {
+  var groups = [];
+  stayNights.forEach(function(night) {
+    var priced = priceOf(advert, night);
+    var group = groups.filter(function(candidate) {
+      return candidate.price === priced.price && candidate.label === priced.label;
+    })[0];
+    if (!group) {
+      group = {price: priced.price, label: priced.label, nights: []};
+      groups.push(group);
+    }
+    group.nights.push(night);
+  });
+  groups.forEach(function(group) {
+    group.amount = round(group.price * group.nights.length);
+  });
+  return groups;
+}
+
+function hasRules(advert) {
+  var rules = rulesOf(advert);
+  return Boolean(rules.overrides.length || rules.weekendSurchargePercent ||
+    rules.weekdayPrices.some(function(price) { return price !== null && price !== undefined; }));
+}
+
+// The cheapest of the given nights, for "from £X" on listing cards. Falls
+// back to the base price when there are no nights to go on.
+function lowest(advert, candidates) {
+  var prices = (candidates || []).map(function(night) {
+    return priceOf(advert, night).price;
+  });
+  return prices.length ? Math.min.apply(null, prices) : money(advert.price) || 0;
+}
+
+// The weekday prices and weekend surcharge from the edit page's pricing form.
+function fromForm(body) {
+  return {
+    weekdayPrices: DAYS.map(function(day, index) {
+      return money((body.weekdayPrices || [])[index]);
+    }),
+    weekendSurchargePercent: money(body.weekendSurchargePercent)
+  };
+}
+
+// Builds a date-range override from the edit page, or returns null when a
+// date or the price is missing. Dates entered the wrong way round are
+// swapped.
+function buildOverride(start, end, price, label) {
+  start = nights.normalise(start);
+  end = nights.normalise(end) || start;
+  price = money(price);
+  if (!start || price === null) {
+    return null;
+  }
+  return {
+    id: mongojs.ObjectId().toHexString(),
+    start: start < end ? start : end,
+    end: start < end ? end : start,
+    price: price,
+    label: (label || '').trim() || null
+  };
+}
+
+module.exports = {
+  DAYS: DAYS,
+  money: money,
+  priceOf: priceOf,
+  breakdown: breakdown,
+  hasRules: hasRules,
+  lowest: lowest,
+  fromForm: fromForm,
+  buildOverride: buildOverride
+};
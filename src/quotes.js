@@ -0,0 +1,147 @@
+var capacity = require('./capacity');
+var currencies = require('./currencies');
+var discounts = require('./discounts');
+var nights = require('./nights');
+var pricing = require('./pricing');
+
+// Prices a stay at an advert. The guest pays the price of every night, as
+// set by the advert's pricing rules, less any length-of-stay discount; any
+// extra-guest and cleaning fees; a service fee on top of those; and tax on
+// the service fee, less any coupon. The host gets the same stay subtotal less
+// the site's commission, coupons being the site's to pay for. Every amount is
+// in the advert's currency, rounded to the penny or cent, and the totals are
+// sums of the rounded lines so a breakdown always adds up.
+
+// Percentages the site charges, which can be set from the environment.
+function settings() {
+  return {
+    serviceFeePercent: percent(process.env.GUEST_SERVICE_FEE_PERCENT, 10),
+    hostCommissionPercent: percent(process.env.HOST_COMMISSION_PERCENT, 3),
+    taxPercent: percent(process.env.TAX_PERCENT, 20)
+  };
+}
+
+function percent(value, fallback) {
+  var number = parseFloat(value);
+  return isNaN(number) || number < 0 ? fallback : number;
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function share(amount, percentage) {
+  return round(amount * percentage / 100);
+}
+
+// A coupon's saving on a stay subtotal: a percentage of it, or a fixed
+// amount that can't come to more than it.
+function couponSaving(coupon, subtotal) {
+  if (!coupon) {
+    return null;
+  }
+  var amount = coupon.percent ? share(subtotal, coupon.percent) : Math.min(round(coupon.amount), subtotal);
+  return {code: coupon.code, percent: coupon.percent || null, amount: amount};
+}
+
+// `stay` is {checkIn, checkOut, guests, coupon}; guests default to one and
+// `coupon`, if any, is as coupons.forQuote gives it.
+function quote(advert, stay, rates) {
+  rates = rates || settings();
+  var stayNights = nights.stay(stay.checkIn, stay.checkOut);
+  var guests = stay.guests || 1;
+  var nightlyRates = pricing.breakdown(advert, stayNights);
+  var nightlySubtotal = round(nightlyRates.reduce(function(total, rate) {
+    return total + rate.amount;
+  }, 0));
+  var discount = discounts.apply(advert.discounts, stayNights.length, nightlySubtotal);
+  var extraGuestFee = capacity.extraGuestFee(advert.capacity, guests, stayNights.length);
+  var cleaningFee = stayNights.length ? pricing.money(advert.cleaningFee) || 0 : 0;
+  var subtotal = round(nightlySubtotal - (discount ? discount.amount : 0) + extraGuestFee + cleaningFee);
+  var serviceFee = share(subtotal, rates.serviceFeePercent);
+  var taxes = share(serviceFee, rates.taxPercent);
+  var hostCommission = share(subtotal, rates.hostCommissionPercent);
+  var coupon = couponSaving(stay.coupon, subtotal);
+  return {
+    currency: currencies.codeNamed(advert.currency),
+    checkIn: stay.checkIn,
+    checkOut: stay.checkOut,
+    nights: stayNights.length,
+    guests: guests,
+    nightlyRates: nightlyRates.map(function(rate) {
+      return {price: rate.price, label: rate.label, nights: rate.nights.length, amount: rate.amount};
+    }),
+    nightlySubtotal: nightlySubtotal,
+    discount: discount,
+    extraGuests: capacity.extraGuests(advert.capacity, guests),
+    extraGuestFee: extraGuestFee,
+    cleaningFee: cleaningFee,
+    subtotal: subtotal,
+    serviceFee: serviceFee,
+    taxes: taxes,
+    coupon: coupon,
+    total: round(subtotal + serviceFee + taxes - (coupon ? coupon.amount : 0)),
+    hostCommission: hostCommission,
+    hostPayout: round(subtotal - hostCommission),
+    rates: {
+      serviceFeePercent: rates.serviceFeePercent,
+      hostCommissionPercent: rates.hostCommissionPercent,
+      taxPercent: rates.taxPercent
+    }
+  };
+}
+
+function plural(count, word) {
+  return count + ' ' + word + (count === 1 ? '' : 's');
+}
+
+// The lines of a quote a guest sees: one for the nights at each price, then
+// the fees that apply.
+function guestLines(quote) {
+  var lines = quote.nightlyRates.map(function(rate) {
+    return {
+      key: 'nights',
+      label: currencies.format(rate.price, quote.currency) + ' x ' + plural(rate.nights, 'night') + (rate.label ? ' (' + rate.label + ')' : ''),
+      amount: rate.amount
+    };
+  });
+  if (quote.discount) {
+    lines.push({key: 'discount', label: discounts.describeTier(quote.discount), amount: -quote.discount.amount});
+  }
+  if (quote.extraGuestFee) {
+    lines.push({key: 'extraGuestFee', label: plural(quote.extraGuests, 'extra guest'), amount: quote.extraGuestFee});
+  }
+  if (quote.cleaningFee) {
+    lines.push({key: 'cleaningFee', label: 'Cleaning fee', amount: quote.cleaningFee});
+  }
+  if (quote.serviceFee) {
+    lines.push({key: 'serviceFee', label: 'Service fee', amount: quote.serviceFee});
+  }
+  if (quote.taxes) {
+    lines.push({key: 'taxes', label: 'VAT on the service fee', amount: quote.taxes});
+  }
+  if (quote.coupon) {
+    lines.push({
+      key: 'coupon',
+      label: 'Code ' + quote.coupon.code + (quote.coupon.percent ? ' (' + quote.coupon.percent + '% off)' : ''),
+      amount: -quote.coupon.amount
+    });
+  }
+  return lines;
+}
+
+// What the host makes from a stay.
+function hostLines(quote) {
+  return [
+    {key: 'subtotal', label: 'Stay', amount: quote.subtotal},
+    {key: 'hostCommission', label: 'Commission (' + quote.rates.hostCommissionPercent + '%)', amount: -quote.hostCommission},
+    {key: 'hostPayout', label: 'You earn', amount: quote.hostPayout}
+  ];
+}
+
+module.exports = {
+  settings: settings,
+  quote: quote,
+  guestLines: guestLines,
+  hostLines: hostLines
+};
@@ -0,0 +1,117 @@
+var mongojs = require('mongojs');
+var counters = require('./counters');
+var currencies = require('./currencies');
+var nights = require('./nights');
+var pdf = require('./pdf');
+var quotes = require('./quotes');
+
+// Guests get a numbered receipt once their booking is approved. The number
+// is fixed when it is issued; the receipt itself is drawn from the booking
+// whenever it is downloaded, so a later cancellation shows its refund.
+
+// A claim on a booking's receipt number that is this old was left by a
+// request that never finished, and can be taken over.
+var CLAIM_MINUTES = 5;
+
+// Gives an approved booking its receipt number, unless it already has one.
+// The booking is claimed with a conditional write before a number is taken,
+// so only one request ever takes a number for it and receipt numbers run
+// without gaps. Calls back with the booking as it now is, which has no
+// receipt yet if another request is still numbering it.
+function issue(db, booking, callback) {
+  if (booking.receipt) {
+    return callback(null, booking);
+  }
+  var now = new Date();
+  db.bookings.findAndModify({
+    query: {
+      _id: booking._id,
+      receipt: {$exists: false},
+      $or: [
+        {receiptClaimedAt: {$exists: false}},
+        {receiptClaimedAt: {$lt: new Date(now.getTime() - CLAIM_MINUTES * 60 * 1000)}}
+      ]
+    },
+    update: {$set: {receiptClaimedAt: now}},
+    new: true
+  }, function(err, claimed) {
+    if (err || !claimed) {
+      return callback(err, booking);
+    }
+    counters.next(db, 'receipt', function(err, number) {
+      if (err) {
+        return db.bookings.update({_id: booking._id}, {$unset: {receiptClaimedAt: true}}, function() {
+          callback(err);
+        });
+      }
+      db.bookings.findAndModify({
+        query: {_id: booking._id},
+        update: {$set: {receipt: {number: counters.label('R', number), issuedAt: now}}, $unset: {receiptClaimedAt: true}},
+        new: true
+      }, function(err, issued) {
+        callback(err, issued || booking);
+      });
+    });
+  });
+}
+
+// The itemised lines of a receipt: the quote's lines, the total paid and
+// any refund. Bookings made before quotes just have their price.
+function lines(booking) {
+  var items = booking.quote ? quotes.guestLines(booking.quote) : [{key: 'stay', label: 'Stay', amount: booking.totalPrice || 0}];
+  items.push({key: 'total', label: 'Total paid', amount: booking.totalPrice || 0});
+  if (booking.refund && booking.refund.amount) {
+    items.push({key: 'refund', label: 'Refunded on cancellation (' + Math.round(booking.refund.rate * 100) + '%)', amount: -booking.refund.amount});
+    items.push({key: 'net', label: 'Total after refund', amount: Math.round((booking.totalPrice - booking.refund.amount) * 100) / 100});
+  }
+  return items;
+}
+
+function render(booking, advert) {
+  var currency = currencies.of(booking);
+  var stayNights = booking.nights || [booking.night];
+  var text = [
+    {text: 'Makers BnB', bold: true, size: 16},
+    {text: 'Receipt ' + booking.receipt.number, bold: true},
+    'Issued ' + nights.toDateString(nights.of(booking.receipt.issuedAt)),
+    '',
+    'Guest: ' + booking.guestUsername,
+    'Listing: ' + (advert ? advert.name : 'A removed listing'),
+    'Stay: ' + nights.toDateString(booking.checkIn || booking.night) + ' - ' +
+      nights.toDateString(booking.checkOut || nights.addDays(booking.night, 1)) +
+      ' (' + stayNights.length + (stayNights.length === 1 ? ' night' : ' nights') + ')',
+    'Guests: ' + (booking.guests || 1),
+    ''
+  ];
+  lines(booking).forEach(function(line) {
+    var isTotal = line.key === 'total' || line.key === 'net';
+    text.push({text: pdf.row(line.label, currencies.format(line.amount, currency)), bold: isTotal});
+  });
+  if (booking.exchange) {
+    text.push('');
+    text.push('Shown to you as about ' + currencies.atBookedRate(booking.totalPrice, booking.exchange) +
+      ' at 1 ' + booking.exchange.from + ' = ' + booking.exchange.rate.toFixed(4) + ' ' + booking.exchange.to + '.');
+  }
+  if (booking.status === 'cancelled') {
+    text.push('');
+    text.push('This booking was cancelled by the ' + (booking.cancelledBy || 'guest') + '.');
+  }
+  return pdf.render(text);
+}
+
+// Finds the advert a receipt is for and draws it.
+function pdfFor(db, booking, callback) {
+  db.adverts.findOne({_id: mongojs.ObjectId(booking.advertId)}, function(err, advert) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, render(booking, advert));
+  });
+}
+
+module.exports = {
+  issue: issue,
+  lines: lines,
+  render: render,
+  pdfFor: pdfFor
+};
@@ -0,0 +1,61 @@
+var nights = require('./nights');
+
+// Each policy is a list of tiers, most generous first. A cancellation gets the
+// refund of the first tier whose `daysBefore` it meets, counting whole days
+// from the day of cancellation to the check-in day.
+var POLICIES = {
+  flexible: [
+    {daysBefore: 1, refund: 1}
+  ],
+  moderate: [
+    {daysBefore: 5, refund: 1},
+    {daysBefore: 1, refund: 0.5}
+  ],
+  strict: [
+    {daysBefore: 14, refund: 1},
+    {daysBefore: 7, refund: 0.5}
+  ]
+};
+
+var DEFAULT_POLICY = 'flexible';
+
+function policyNamed(name) {
+  return POLICIES.hasOwnProperty(name) ? name : DEFAULT_POLICY;
+}
+
+// Bookings can be cancelled up to and including their check-in day.
+function canCancel(checkIn, when) {
+  return nights.daysBetween(nights.of(when), checkIn) >= 0;
+}
+
+// The share of the price returned for cancelling `daysBefore` days ahead.
+function refundRate(policy, daysBefore) {
+  var tier = POLICIES[policyNamed(policy)].filter(function(tier) {
+    return daysBefore >= tier.daysBefore;
+  })[0];
+  return tier ? tier.refund : 0;
+}
+
+// What a guest gets back for a paid stay cancelled at `when`. Hosts who cancel
+// always refund the guest in full, whatever their policy says, and so does
+// the site when it cancels ('system').
+function calculate(options) {
+  var policy = policyNamed(options.policy);
+  var daysBefore = nights.daysBetween(nights.of(options.when), options.checkIn);
+  var rate = options.cancelledBy === 'host' || options.cancelledBy === 'system' ? 1 : refundRate(policy, daysBefore);
+  return {
+    policy: policy,
+    daysBefore: daysBefore,
+    rate: rate,
+    amount: Math.round(options.amount * rate * 100) / 100
+  };
+}
+
+module.exports = {
+  POLICIES: POLICIES,
+  DEFAULT_POLICY: DEFAULT_POLICY,
+  policyNamed: policyNamed,
+  canCancel: canCancel,
+  refundRate: refundRate,
+  calculate: calculate
+};
@@ -0,0 +1,85 @@
+var nights = require('./nights');
+
+// Limits a host can put on the stays they accept: minNights, maxNights,
+// noticeDays and maxMonthsAhead. A rule left blank doesn't apply.
+
+function toLimit(value) {
+  var number = parseInt(value, 10);
+  return isNaN(number) || number < 0 ? null : number;
+}
+
+function fromForm(body) {
+  return {
+    minNights: toLimit(body.advertMinNights),
+    maxNights: toLimit(body.advertMaxNights),
+    noticeDays: toLimit(body.advertNoticeDays),
+    maxMonthsAhead: toLimit(body.advertMaxMonthsAhead)
+  };
+}
+
+function plural(count, word) {
+  return count + ' ' + word + (count === 1 ? '' : 's');
+}
+
+// Checks a requested stay against an advert's rules and calls out each broken
+// rule against the form field the guest needs to change. Returns an empty
+// object when the stay is acceptable.
+function check(rules, checkIn, checkOut, when) {
+  rules = rules || {};
+  var errors = {};
+  var today = nights.of(when);
+
+  if (!checkIn) {
+    errors.checkIn = 'Please choose a check-in date.';
+  } else if (checkIn < today) {
+    errors.checkIn = 'Check-in can\'t be in the past.';
+  } else if (rules.noticeDays && nights.daysBetween(today, checkIn) < rules.noticeDays) {
+    errors.checkIn = 'This host needs at least ' + plural(rules.noticeDays, 'day') + '\' notice. ' +
+      'The earliest check-in is ' + nights.toDateString(nights.addDays(today, rules.noticeDays)) + '.';
+  } else if (rules.maxMonthsAhead && checkIn > nights.addMonths(today, rules.maxMonthsAhead)) {
+    errors.checkIn = 'This host takes bookings up to ' + plural(rules.maxMonthsAhead, 'month') + ' ahead. ' +
+      'The latest check-in is ' + nights.toDateString(nights.addMonths(today, rules.maxMonthsAhead)) + '.';
+  }
+
+  var length = checkIn && checkOut ? nights.daysBetween(checkIn, checkOut) : 0;
+  if (!checkOut) {
+    errors.checkOut = 'Please choose a check-out date.';
+  } else if (checkIn && length < 1) {
+    errors.checkOut = 'Check-out must be after check-in.';
+  } else if (length > nights.MAX_STAY_NIGHTS) {
+    errors.checkOut = 'Stays can be at most ' + plural(nights.MAX_STAY_NIGHTS, 'night') + '.';
+  } else if (rules.minNights && length < rules.minNights) {
+    errors.checkOut = 'Stays here must be at least ' + plural(rules.minNights, 'night') + '.';
+  } else if (rules.maxNights && length > rules.maxNights) {
+    errors.checkOut = 'Stays here can be at most ' + plural(rules.maxNights, 'night') + '.';
+  }
+
+  return errors;
+}
+
+// Short description of an advert's rules for listing cards, e.g.
+// ['2-14 nights', '3 days\' notice'].
+function describe(rules) {
+  rules = rules || {};
+  var parts = [];
+  if (rules.minNights && rules.maxNights) {
+    parts.push(rules.minNights + '-' + rules.maxNights + ' nights');
+  } else if (rules.minNights) {
+    parts.push('at least ' + plural(rules.minNights, 'night'));
+  } else if (rules.maxNights) {
+    parts.push('up to ' + plural(rules.maxNights, 'night'));
+  }
+  if (rules.noticeDays) {
+    parts.push(plural(rules.noticeDays, 'day') + '\' notice');
+  }
+  if (rules.maxMonthsAhead) {
+    parts.push('up to ' + plural(rules.maxMonthsAhead, 'month') + ' ahead');
+  }
+  return parts;
+}
+
+module.exports = {
+  fromForm: fromForm,
+  check: check,
+  describe: describe
+};
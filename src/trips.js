@@ -0,0 +1,63 @@
+var bookings = require('./bookings');
+var nights = require('./nights');
+var refunds = require('./refunds');
+
+var GROUPS = ['upcoming', 'pending', 'past', 'cancelled'];
+
+function groupOf(booking, today) {
+  if (booking.status === 'pending') {
+    return 'pending';
+  }
+  if (booking.status === 'approved') {
+    var stayNights = bookings.nightsOf(booking);
+    return stayNights[stayNights.length - 1] >= today ? 'upcoming' : 'past';
+  }
+  return 'cancelled';
+}
+
+// Sorts a guest's bookings into the sections of their trips page, noting on
+// each whether it can still be cancelled and what that would refund.
+function group(guestBookings, when) {
+  var today = nights.of(when);
+  var trips = {};
+  GROUPS.forEach(function(name) {
+    trips[name] = [];
+  });
+  guestBookings.forEach(function(booking) {
+    var stayNights = bookings.nightsOf(booking);
+    var checkIn = booking.checkIn || stayNights[0];
+    var trip = {
+      booking: booking,
+      checkIn: checkIn,
+      checkOut: booking.checkOut || nights.addDays(stayNights[stayNights.length - 1], 1),
+      canCancel: false,
+      refund: null
+    };
+    var name = groupOf(booking, today);
+    if (name === 'pending') {
+      trip.canCancel = true;
+    } else if (name === 'upcoming' && refunds.canCancel(checkIn, when)) {
+      trip.canCancel = true;
+      trip.refund = refunds.calculate({
+        policy: booking.cancellationPolicy,
+        amount: booking.totalPrice || 0,
+        checkIn: checkIn,
+        cancelledBy: 'guest',
+        when: when
+      });
+    }
+    trips[name].push(trip);
+  });
+  trips.upcoming.sort(function(a, b) {
+    return a.checkIn < b.checkIn ? -1 : 1;
+  });
+  trips.past.sort(function(a, b) {
+    return a.checkIn > b.checkIn ? -1 : 1;
+  });
+  return trips;
+}
+
+module.exports = {
+  GROUPS: GROUPS,
+  group: group
+};
@@ -0,0 +1,209 @@
+var mongojs = require('mongojs');
+var Availability = require('./availability');
+var bookings = require('./bookings');
+var nights = require('./nights');
+var notifications = require('./notifications');
+
+var HOUR = 60 * 60 * 1000;
+
+// Guests can wait for nights of an advert that are already booked. When a
+// cancellation or denial frees them, the guest who has waited longest is
+// offered a hold: for a few hours nobody else can request those nights, so
+// they have time to. An entry goes from waiting to offered and then to
+// booked, or lapses when the hold runs out or the stay has gone by; guests
+// can leave while waiting or holding.
+var ACTIVE_STATUSES = ['waiting', 'offered'];
+
+// Adds a guest to the waitlist for a stay, or hands back the entry they
+// already have for it.
+function join(db, details, callback) {
+  var query = {
+    advertId: details.advertId,
+    guestId: details.guestId,
+    checkIn: details.checkIn,
+    checkOut: details.checkOut,
+    status: {$in: ACTIVE_STATUSES}
+  };
+  db.waitlist.findOne(query, function(err, existing) {
+    if (err || existing) {
+      return callback(err, existing);
+    }
+    db.waitlist.insert({
+      advertId: details.advertId,
+      guestId: details.guestId,
+      guestUsername: details.guestUsername,
+      checkIn: details.checkIn,
+      checkOut: details.checkOut,
+      nights: nights.stay(details.checkIn, details.checkOut),
+      status: 'waiting',
+      createdAt: new Date()
+    }, callback);
+  });
+}
+
+// Takes a guest off the waitlist. Calls back with the entry as it was, or
+// null when it was no longer active.
+function leave(db, entryId, guestId, callback) {
+  db.waitlist.findAndModify({
+    query: {_id: mongojs.ObjectId(entryId), guestId: guestId, status: {$in: ACTIVE_STATUSES}},
+    update: {$set: {status: 'left'}}
+  }, function(err, entry) {
+    callback(err, entry || null);
+  });
+}
+
+function activeFor(db, guestId, callback) {
+  db.waitlist.find({guestId: guestId, status: {$in: ACTIVE_STATUSES}}).sort({checkIn: 1}, callback);
+}
+
+// Nights of an advert held for waitlisted guests other than `guestId`.
+function heldNights(db, advertId, guestId, now, callback) {
+  db.waitlist.find({advertId: advertId, status: 'offered', holdUntil: {$gt: now}}, function(err, holds) {
+    if (err) {
+      return callback(err);
+    }
+    var held = {};
+    holds.forEach(function(hold) {
+      if (hold.guestId !== guestId) {
+        hold.nights.forEach(function(night) {
+          held[night] = hold.holdUntil;
+        });
+      }
+    });
+    callback(null, held);
+  });
+}
+
+// Marks the guest's holds on any of `stayNights` as used once they have
+// requested the stay.
+function redeem(db, advertId, guestId, stayNights, callback) {
+  db.waitlist.update({
+    advertId: advertId,
+    guestId: guestId,
+    status: 'offered',
+    nights: {$in: stayNights}
+  }, {$set: {status: 'booked'}}, {multi: true}, callback);
+}
+
+// Offers holds to the guests waiting for an advert whose nights are all free
+// again, longest waiting first, skipping anyone whose nights overlap a hold
+// that is still running. Calls back with the entries offered a hold.
+function offerFreed(db, advertId, options, callback) {
+  var now = options.now || new Date();
+  var today = nights.of(now);
+  db.adverts.findOne({_id: mongojs.ObjectId(advertId)}, function(err, advert) {
+    if (err || !advert) {
+      return callback(err, []);
+    }
+    bookings.activeForAdvert(db, advertId, function(err, active) {
+      if (err) {
+        return callback(err);
+      }
+      heldNights(db, advertId, null, now, function(err, held) {
+        if (err) {
+          return callback(err);
+        }
+        db.waitlist.find({advertId: advertId, status: 'waiting'}).sort({createdAt: 1}, function(err, waiting) {
+          if (err) {
+            return callback(err);
+          }
+          var calendar = new Availability(advert, active);
+          var chosen = waiting.filter(function(entry) {
+            var free = entry.checkIn >= today && entry.nights.every(function(night) {
+              return calendar.isFree(night) && !held[night];
+            });
+            if (free) {
+              entry.nights.forEach(function(night) {
+                held[night] = true;
+              });
+            }
+            return free;
+          });
+          offer(db, advert, chosen, now, options.hours, callback);
+        });
+      });
+    });
+  });
+}
+
+function offer(db, advert, entries, now, hours, callback) {
+  var offered = [];
+  var remaining = entries.length;
+  var failed = null;
+  if (!remaining) {
+    return callback(null, offered);
+  }
+  entries.forEach(function(entry) {
+    db.waitlist.findAndModify({
+      query: {_id: entry._id, status: 'waiting'},
+      update: {$set: {status: 'offered', offeredAt: now, holdUntil: new Date(now.getTime() + hours * HOUR)}},
+      new: true
+    }, function(err, held) {
+      if (err || !held) {
+        return finish(err);
+      }
+      offered.push(held);
+      notifications.notify(db, held.guestId,
+        'The nights you were waiting for at ' + advert.name + ' (' + nights.toDateString(held.checkIn) + ' - ' +
+        nights.toDateString(held.checkOut) + ') are free. They are held for you for the next ' + hours +
+        ' hours, so request them before someone else can.', finish);
+    });
+  });
+  function finish(err) {
+    failed = failed || err;
+    if (--remaining === 0) {
+      callback(failed, offered);
+    }
+  }
+}
+
+// Lapses holds that have run out and waits for stays that have already
+// begun, then offers the nights of each lapsed hold to the next guest in
+// line. Calls back with the lapsed holds.
+function sweep(db, options, callback) {
+  var now = options.now || new Date();
+  db.waitlist.find({status: 'offered', holdUntil: {$lte: now}}, function(err, lapsed) {
+    if (err) {
+      return callback(err);
+    }
+    db.waitlist.update({
+      $or: [
+        {status: 'offered', holdUntil: {$lte: now}},
+        {status: {$in: ACTIVE_STATUSES}, checkIn: {$lt: nights.of(now)}}
+      ]
+    }, {$set: {status: 'lapsed'}}, {multi: true}, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      var advertIds = [];
+      lapsed.forEach(function(hold) {
+        if (advertIds.indexOf(hold.advertId) === -1) {
+          advertIds.push(hold.advertId);
+        }
+      });
+      var remaining = advertIds.length;
+      var failed = null;
+      if (!remaining) {
+        return callback(null, lapsed);
+      }
+      advertIds.forEach(function(advertId) {
+        offerFreed(db, advertId, options, function(err) {
+          failed = failed || err;
+          if (--remaining === 0) {
+            callback(failed, lapsed);
+          }
+        });
+      });
+    });
+  });
+}
+
+module.exports = {
+  join: join,
+  leave: leave,
+  activeFor: activeFor,
+  heldNights: heldNights,
+  redeem: redeem,
+  offerFreed: offerFreed,
+  sweep: sweep
+};
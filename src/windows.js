@@ -0,0 +1,56 @@
+var mongojs = require('mongojs');
+var nights = require('./nights');
+
+// Builds an availability window from two form dates, or returns null when
+// either is missing or isn't a day nights.normalise accepts. Dates entered
+// the wrong way round are swapped.
+function build(start, end, id) {
+  start = nights.normalise(start);
+  end = nights.normalise(end);
+  if (!start || !end) {
+    return null;
+  }
+  return {
+    id: id || mongojs.ObjectId().toHexString(),
+    start: start < end ? start : end,
+    end: start < end ? end : start
+  };
+}
+
+// The new-advert form repeats its date fields once per window, which body-parser
+// hands over as either a single string or an array.
+function fromForm(starts, ends) {
+  starts = [].concat(starts || []);
+  ends = [].concat(ends || []);
+  return starts.map(function(start, index) {
+    return build(start, ends[index]);
+  }).filter(Boolean);
+}
+
+// Adverts posted before windows existed only have a single startDate/endDate.
+function of(advert) {
+  if (advert.windows) {
+    return advert.windows.slice().sort(function(a, b) {
+      return a.start < b.start ? -1 : 1;
+    });
+  }
+  var legacy = build(advert.startDate, advert.endDate, 'legacy');
+  return legacy ? [legacy] : [];
+}
+
+function nightsOf(windows) {
+  var offered = {};
+  windows.forEach(function(window) {
+    nights.range(window.start, window.end).forEach(function(night) {
+      offered[night] = true;
+    });
+  });
+  return Object.keys(offered).sort();
+}
+
+module.exports = {
+  build: build,
+  fromForm: fromForm,
+  of: of,
+  nightsOf: nightsOf
+};
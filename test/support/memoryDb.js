@@ -0,0 +1,378 @@
+// An in-memory stand-in for the handful of mongojs calls the app makes, so the
+// booking logic can be exercised without a running mongod. Every call answers
+// on a later tick, like a real database round trip, which lets tests
+// interleave concurrent operations.
+var mongojs = require('mongojs');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    var copy = {};
+    Object.keys(value).forEach(function(key) {
+      copy[key] = clone(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+function same(a, b) {
+  if (a && b && a.toHexString && b.toHexString) {
+    return a.toHexString() === b.toHexString();
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  return a === b;
+}
+
+function compare(a, b) {
+  if (a instanceof Date) {
+    a = a.getTime();
+  }
+  if (b instanceof Date) {
+    b = b.getTime();
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function get(doc, path) {
+  return path.split('.').reduce(function(value, key) {
+    return value === undefined || value === null ? undefined : value[key];
+  }, doc);
+}
+
+function parentOf(doc, path, create) {
+  var keys = path.split('.');
+  var last = keys.pop();
+  var parent = keys.reduce(function(value, key) {
+    if (value && value[key] === undefined && create) {
+      value[key] = {};
+    }
+    return value ? value[key] : undefined;
+  }, doc);
+  return {object: parent, key: last};
+}
+
+function contains(list, value) {
+  return list.some(function(item) {
+    return same(item, value);
+  });
+}
+
+function equals(actual, expected) {
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return contains(actual, expected);
+  }
+  if (expected === null) {
+    return actual === null || actual === undefined;
+  }
+  return same(actual, expected);
+}
+
+var OPERATORS = {
+  $in: function(actual, list) {
+    return list.some(function(value) { return equals(actual, value); });
+  },
+  $nin: function(actual, list) {
+    return !OPERATORS.$in(actual, list);
+  },
+  $ne: function(actual, value) {
+    return !equals(actual, value);
+  },
+  $lt: function(actual, value) {
+    return actual !== undefined && compare(actual, value) < 0;
+  },
+  $lte: function(actual, value) {
+    return actual !== undefined && compare(actual, value) <= 0;
+  },
+  $gt: function(actual, value) {
+    return actual !== undefined && compare(actual, value) > 0;
+  },
+  $gte: function(actual, value) {
+    return actual !== undefined && compare(actual, value) >= 0;
+  },
+  $exists: function(actual, wanted) {
+    return (actual !== undefined) === Boolean(wanted);
+  },
+  $not: function(actual, condition) {
+    return !matchesCondition(actual, condition);
+  },
+  $size: function(actual, size) {
+    return Array.isArray(actual) && actual.length === size;
+  },
+  $elemMatch: function(actual, query) {
+    return Array.isArray(actual) && actual.some(function(item) {
+      return matches(item, query);
+    });
+  }
+};
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(function(key) {
+    return key.charAt(0) === '$';
+  });
+}
+
+function matchesCondition(actual, condition) {
+  if (!isOperatorObject(condition)) {
+    return equals(actual, condition);
+  }
+  return Object.keys(condition).every(function(operator) {
+    if (!OPERATORS[operator]) {
+      throw new Error('memoryDb does not support ' + operator);
+    }
+    return OPERATORS[operator](actual, condition[operator]);
+  });
+}
+
+function matches(doc, query) {
+  return Object.keys(query || {}).every(function(key) {
+    if (key === '$or') {
+      return query.$or.some(function(part) { return matches(doc, part); });
+    }
+    if (key === '$and') {
+      return query.$and.every(function(part) { return matches(doc, part); });
+    }
+    return matchesCondition(get(doc, key), query[key]);
+  });
+}
+
+var UPDATES = {
+  $set: function(doc, path, value) {
+    var place = parentOf(doc, path, true);
+    place.object[place.key] = clone(value);
+  },
+  $unset: function(doc, path) {
+    var place = parentOf(doc, path, false);
+    if (place.object) {
+      delete place.object[place.key];
+    }
+  },
+  $inc: function(doc, path, amount) {
+    var place = parentOf(doc, path, true);
+    place.object[place.key] = (place.object[place.key] || 0) + amount;
+  },
+  $push: function(doc, path, value) {
+    var place = parentOf(doc, path, true);
+    var list = place.object[place.key] = place.object[place.key] || [];
+    (isPlainObject(value) && value.$each ? value.$each : [value]).forEach(function(item) {
+      list.push(clone(item));
+    });
+  },
+  $addToSet: function(doc, path, value) {
+    var place = parentOf(doc, path, true);
+    var list = place.object[place.key] = place.object[place.key] || [];
+    (isPlainObject(value) && value.$each ? value.$each : [value]).forEach(function(item) {
+      if (!contains(list, item)) {
+        list.push(clone(item));
+      }
+    });
+  },
+  $pull: function(doc, path, condition) {
+    var place = parentOf(doc, path, false);
+    if (place.object && Array.isArray(place.object[place.key])) {
+      place.object[place.key] = place.object[place.key].filter(function(item) {
+        return isPlainObject(condition) && !isOperatorObject(condition) ?
+          !matches(item, condition) : !matchesCondition(item, condition);
+      });
+    }
+  }
+};
+
+// `$setOnInsert` only sets fields on a document an upsert has just created.
+function applyUpdate(doc, update, inserting) {
+  var keys = Object.keys(update);
+  if (!keys.length || keys[0].charAt(0) !== '$') {
+    var replacement = clone(update);
+    replacement._id = doc._id;
+    Object.keys(doc).forEach(function(key) { delete doc[key]; });
+    Object.keys(replacement).forEach(function(key) { doc[key] = replacement[key]; });
+    return;
+  }
+  keys.forEach(function(operator) {
+    if (operator === '$setOnInsert') {
+      return inserting && Object.keys(update.$setOnInsert).forEach(function(path) {
+        UPDATES.$set(doc, path, update.$setOnInsert[path]);
+      });
+    }
+    if (!UPDATES[operator]) {
+      throw new Error('memoryDb does not support ' + operator);
+    }
+    Object.keys(update[operator]).forEach(function(path) {
+      UPDATES[operator](doc, path, update[operator][path]);
+    });
+  });
+}
+
+// Seeds an upserted document with the plain equality fields of its query.
+function fromQuery(query) {
+  var doc = {};
+  Object.keys(query || {}).forEach(function(key) {
+    if (key.charAt(0) !== '$' && !isOperatorObject(query[key])) {
+      UPDATES.$set(doc, key, query[key]);
+    }
+  });
+  return doc;
+}
+
+function later(callback, err, result, extra) {
+  setImmediate(function() {
+    if (callback) {
+      callback(err, result, extra);
+    }
+  });
+}
+
+function Cursor(collection, query) {
+  this._collection = collection;
+  this._query = query;
+  this._sort = null;
+  this._limit = 0;
+}
+
+Cursor.prototype.sort = function(spec, callback) {
+  this._sort = spec;
+  return callback ? this.toArray(callback) : this;
+};
+
+Cursor.prototype.limit = function(limit, callback) {
+  this._limit = limit;
+  return callback ? this.toArray(callback) : this;
+};
+
+Cursor.prototype.toArray = function(callback) {
+  var docs = this._collection._matching(this._query);
+  var spec = this._sort;
+  if (spec) {
+    docs.sort(function(a, b) {
+      var keys = Object.keys(spec);
+      for (var i = 0; i < keys.length; i++) {
+        var order = compare(get(a, keys[i]), get(b, keys[i])) * spec[keys[i]];
+        if (order) {
+          return order;
+        }
+      }
+      return 0;
+    });
+  }
+  if (this._limit) {
+    docs = docs.slice(0, this._limit);
+  }
+  later(callback, null, docs.map(clone));
+};
+
+function Collection() {
+  this._docs = [];
+}
+
+Collection.prototype._matching = function(query) {
+  return this._docs.filter(function(doc) {
+    return matches(doc, query);
+  });
+};
+
+Collection.prototype.find = function(query, callback) {
+  if (typeof query === 'function') {
+    return this.find({}, query);
+  }
+  var cursor = new Cursor(this, query);
+  return callback ? cursor.toArray(callback) : cursor;
+};
+
+Collection.prototype.findOne = function(query, callback) {
+  if (typeof query === 'function') {
+    return this.findOne({}, query);
+  }
+  var doc = this._matching(query)[0];
+  later(callback, null, doc ? clone(doc) : null);
+};
+
+Collection.prototype.count = function(query, callback) {
+  if (typeof query === 'function') {
+    return this.count({}, query);
+  }
+  later(callback, null, this._matching(query).length);
+};
+
+Collection.prototype.insert = function(docOrDocs, callback) {
+  var self = this;
+  var docs = Array.isArray(docOrDocs) ? docOrDocs : [docOrDocs];
+  docs.forEach(function(doc) {
+    if (!doc._id) {
+      doc._id = mongojs.ObjectId();
+    }
+    self._docs.push(clone(doc));
+  });
+  later(callback, null, docOrDocs);
+};
+
+Collection.prototype.update = function(query, update, opts, callback) {
+  if (typeof opts === 'function') {
+    return this.update(query, update, {}, opts);
+  }
+  opts = opts || {};
+  var docs = this._matching(query);
+  if (!opts.multi) {
+    docs = docs.slice(0, 1);
+  }
+  if (!docs.length && opts.upsert) {
+    var doc = fromQuery(query);
+    doc._id = doc._id || mongojs.ObjectId();
+    applyUpdate(doc, update, true);
+    this._docs.push(doc);
+    return later(callback, null, {n: 1, nModified: 0, upserted: doc._id});
+  }
+  docs.forEach(function(doc) {
+    applyUpdate(doc, update);
+  });
+  later(callback, null, {n: docs.length, nModified: docs.length});
+};
+
+Collection.prototype.findAndModify = function(opts, callback) {
+  var doc = this._matching(opts.query)[0];
+  if (!doc && opts.upsert) {
+    doc = fromQuery(opts.query);
+    doc._id = doc._id || mongojs.ObjectId();
+    this._docs.push(doc);
+    applyUpdate(doc, opts.update, true);
+    return later(callback, null, opts.new ? clone(doc) : null, {n: 1, updatedExisting: false});
+  }
+  if (!doc) {
+    return later(callback, null, null, {n: 0});
+  }
+  if (opts.remove) {
+    this._docs.splice(this._docs.indexOf(doc), 1);
+    return later(callback, null, clone(doc), {n: 1});
+  }
+  var before = clone(doc);
+  applyUpdate(doc, opts.update);
+  later(callback, null, opts.new ? clone(doc) : before, {n: 1, updatedExisting: true});
+};
+
+Collection.prototype.remove = function(query, callback) {
+  var removed = this._matching(query);
+  this._docs = this._docs.filter(function(doc) {
+    return removed.indexOf(doc) === -1;
+  });
+  later(callback, null, {n: removed.length});
+};
+
+// Like mongojs, any property read off the database is a collection.
+module.exports = function memoryDb() {
+  var collections = {};
+  return new Proxy({}, {
+    get: function(target, name) {
+      if (typeof name !== 'string') {
+        return undefined;
+      }
+      return collections[name] = collections[name] || new Collection();
+    }
+  });
+};
@@ -0,0 +1,84 @@
+var assert = require('assert');
+var Availability = require('../../src/availability');
+
+describe('Availability', function() {
+
+  var advert = {startDate: '2020-03-01', endDate: '2020-03-05'};
+
+  it('offers every night from the start date to the end date', function() {
+    var calendar = new Availability(advert, []);
+    assert.deepEqual(calendar.offeredNights(),
+      ['2020-03-01', '2020-03-02', '2020-03-03', '2020-03-04', '2020-03-05']);
+  });
+
+  it('does not offer nights outside the advertised dates', function() {
+    var calendar = new Availability(advert, []);
+    assert.equal(calendar.status('2020-02-29'), 'unavailable');
+    assert.equal(calendar.isFree('2020-03-06'), false);
+  });
+
+  it('takes approved nights off the market', function() {
+    var calendar = new Availability(advert, [{night: '2020-03-02', status: 'approved'}]);
+    assert.equal(calendar.status('2020-03-02'), 'booked');
+    assert.equal(calendar.isFree('2020-03-02'), false);
+    assert.deepEqual(calendar.bookedNights(), ['2020-03-02']);
+  });
+
+  it('takes nights claimed on the advert off the market', function() {
+    var calendar = new Availability({startDate: '2020-03-01', endDate: '2020-03-05', bookedNights: ['2020-03-04']}, []);
+    assert.equal(calendar.status('2020-03-04'), 'booked');
+  });
+
+  it('keeps nights the host blocked apart from booked nights', function() {
+    var calendar = new Availability({startDate: '2020-03-01', endDate: '2020-03-05', blockedNights: ['2020-03-02', '2020-03-09'], bookedNights: ['2020-03-03']}, []);
+    assert.equal(calendar.status('2020-03-02'), 'blocked');
+    assert.equal(calendar.isFree('2020-03-02'), false);
+    assert.deepEqual(calendar.blockedNights(), ['2020-03-02']);
+    assert.deepEqual(calendar.bookedNights(), ['2020-03-03']);
+  });
+
+  it('blocks nights imported from another calendar', function() {
+    var calendar = new Availability({startDate: '2020-03-01', endDate: '2020-03-05', blockedNights: ['2020-03-02'], importedCalendars: {
+      a: {source: 'airbnb.ics', nights: ['2020-03-02']},
+      b: {source: 'vrbo.ics', nights: ['2020-03-04']}
+    }}, []);
+    assert.equal(calendar.status('2020-03-04'), 'blocked');
+    assert.deepEqual(calendar.importedNights(), ['2020-03-02', '2020-03-04']);
+    assert.deepEqual(calendar.blockedNights(), ['2020-03-02']);
+  });
+
+  it('keeps nights with pending requests free until they are approved', function() {
+    var calendar = new Availability(advert, [{night: '2020-03-03', status: 'pending'}]);
+    assert.equal(calendar.status('2020-03-03'), 'pending');
+    assert.equal(calendar.isFree('2020-03-03'), true);
+    assert.deepEqual(calendar.pendingNights(), ['2020-03-03']);
+  });
+
+  it('ignores denied and cancelled requests', function() {
+    var calendar = new Availability(advert, [
+      {night: '2020-03-04', status: 'denied'},
+      {night: '2020-03-05', status: 'cancelled'}
+    ]);
+    assert.equal(calendar.status('2020-03-04'), 'free');
+    assert.equal(calendar.status('2020-03-05'), 'free');
+  });
+
+  it('lists the free nights in a range', function() {
+    var calendar = new Availability(advert, [{night: '2020-03-02', status: 'approved'}]);
+    assert.deepEqual(calendar.freeNights('2020-02-28', '2020-03-03'), ['2020-03-01', '2020-03-03']);
+  });
+
+  it('offers the nights of every window', function() {
+    var calendar = new Availability({windows: [
+      {id: 'a', start: '2020-03-07', end: '2020-03-08'},
+      {id: 'b', start: '2020-08-01', end: '2020-08-02'}
+    ]}, []);
+    assert.deepEqual(calendar.offeredNights(), ['2020-03-07', '2020-03-08', '2020-08-01', '2020-08-02']);
+    assert.equal(calendar.isFree('2020-05-01'), false);
+  });
+
+  it('reads dates entered in other formats', function() {
+    var calendar = new Availability({startDate: '03/01/2020', endDate: '03/02/2020'}, []);
+    assert.deepEqual(calendar.offeredNights(), ['2020-03-01', '2020-03-02']);
+  });
+});
@@ -0,0 +1,202 @@
+var assert = require('assert');
+var memoryDb = require('../support/memoryDb');
+var bookings = require('../../src/bookings');
+var nights = require('../../src/nights');
+var quotes = require('../../src/quotes');
+
+describe('Bookings', function() {
+
+  var start = nights.addDays(nights.of(), 30);
+  var db, advert;
+
+  beforeEach(function(done) {
+    db = memoryDb();
+    advert = {userId: 'host', price: '50', windows: [{id: 'w', start: start, end: nights.addDays(start, 30)}]};
+    db.adverts.insert(advert, done);
+  });
+
+  // Requests a stay from `from` to `to` days after the start of the advert.
+  function request(guestId, from, to, callback) {
+    var checkIn = nights.addDays(start, from);
+    var checkOut = nights.addDays(start, to);
+    bookings.request(db, {
+      advertId: advert._id.toHexString(),
+      hostId: 'host',
+      guestId: guestId,
+      checkIn: checkIn,
+      checkOut: checkOut,
+      nights: nights.stay(checkIn, checkOut),
+      quote: quotes.quote(advert, {checkIn: checkIn, checkOut: checkOut}),
+      cancellationPolicy: 'strict'
+    }, function(err, booking) {
+      assert.ifError(err);
+      callback(booking);
+    });
+  }
+
+  describe('the lifecycle', function() {
+
+    it('lets pending requests be approved, denied, cancelled or expire', function() {
+      ['approved', 'denied', 'cancelled', 'expired'].forEach(function(status) {
+        assert.ok(bookings.canTransition('pending', status), status);
+      });
+    });
+
+    it('only lets approved bookings be cancelled', function() {
+      assert.ok(bookings.canTransition('approved', 'cancelled'));
+      assert.ok(!bookings.canTransition('approved', 'denied'));
+      assert.ok(!bookings.canTransition('approved', 'pending'));
+    });
+
+    it('never moves a booking out of a final state', function() {
+      ['denied', 'cancelled', 'expired'].forEach(function(from) {
+        ['pending', 'approved', 'denied', 'cancelled', 'expired'].forEach(function(to) {
+          assert.ok(!bookings.canTransition(from, to), from + ' -> ' + to);
+        });
+      });
+    });
+
+    it('starts requests out pending at their quoted price', function(done) {
+      request('guest', 1, 3, function(booking) {
+        assert.equal(booking.status, 'pending');
+        assert.equal(booking.totalPrice, booking.quote.total);
+        assert.equal(booking.cancellationPolicy, 'strict');
+        assert.deepEqual(bookings.nightsOf(booking), [nights.addDays(start, 1), nights.addDays(start, 2)]);
+        done();
+      });
+    });
+
+    it('reads the night of bookings made before multi-night stays', function() {
+      assert.deepEqual(bookings.nightsOf({night: '2020-06-10'}), ['2020-06-10']);
+    });
+
+    it('decides a request only once', function(done) {
+      request('guest', 1, 3, function(booking) {
+        bookings.transition(db, booking._id.toHexString(), 'denied', function(err, denied) {
+          assert.equal(denied.status, 'denied');
+          bookings.transition(db, booking._id.toHexString(), 'approved', function(err, approved) {
+            assert.strictEqual(approved, null);
+            bookings.approve(db, booking._id.toHexString(), function(err, again) {
+              assert.strictEqual(again, null);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('withdraws pending requests without a refund', function(done) {
+      request('guest', 1, 3, function(booking) {
+        bookings.cancel(db, booking._id.toHexString(), 'guest', function(err, cancelled) {
+          assert.equal(cancelled.status, 'cancelled');
+          assert.equal(cancelled.cancelledBy, 'guest');
+          assert.equal(cancelled.refund, undefined);
+          done();
+        });
+      });
+    });
+
+    it('refunds approved stays under their policy when they are cancelled', function(done) {
+      request('guest', 1, 3, function(booking) {
+        bookings.approve(db, booking._id.toHexString(), function() {
+          bookings.cancel(db, booking._id.toHexString(), 'guest', function(err, cancelled) {
+            assert.equal(cancelled.refund.policy, 'strict');
+            assert.equal(cancelled.refund.rate, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('won\'t cancel a booking that has already ended', function(done) {
+      request('guest', 1, 3, function(booking) {
+        bookings.transition(db, booking._id.toHexString(), 'denied', function() {
+          bookings.cancel(db, booking._id.toHexString(), 'guest', function(err, cancelled) {
+            assert.strictEqual(cancelled, null);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('overlapping stays', function() {
+
+    it('won\'t approve a stay over nights already booked', function(done) {
+      request('first', 1, 4, function(first) {
+        request('second', 3, 6, function(second) {
+          bookings.approve(db, first._id.toHexString(), function() {
+            db.bookings.update({_id: second._id}, {$set: {status: 'pending'}}, function() {
+              bookings.approve(db, second._id.toHexString(), function(err, approved) {
+                assert.strictEqual(approved, null);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('approves back-to-back stays, as check-out day is the next check-in', function(done) {
+      request('first', 1, 3, function(first) {
+        request('second', 3, 5, function(second) {
+          bookings.approve(db, first._id.toHexString(), function(err, one) {
+            bookings.approve(db, second._id.toHexString(), function(err, two) {
+              assert.equal(one.status, 'approved');
+              assert.equal(two.status, 'approved');
+              db.adverts.findOne({}, function(err, found) {
+                assert.equal(found.bookedNights.length, 4);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('the host dashboard', function() {
+
+    it('denies the pending requests that overlap an approved one, and only those', function(done) {
+      request('first', 1, 4, function(first) {
+        request('overlapping', 3, 6, function(overlapping) {
+          request('later', 4, 6, function(later) {
+            bookings.approve(db, first._id.toHexString(), function() {
+              db.bookings.find({}, function(err, docs) {
+                var statuses = {};
+                docs.forEach(function(booking) {
+                  statuses[booking.guestId] = booking.status;
+                });
+                assert.deepEqual(statuses, {first: 'approved', overlapping: 'denied', later: 'pending'});
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('groups a host\'s requests by status, oldest first', function(done) {
+      request('first', 1, 2, function(first) {
+        request('second', 5, 6, function(second) {
+          request('third', 8, 9, function(third) {
+            db.bookings.insert({advertId: 'someone-elses', status: 'pending', createdAt: new Date()}, function() {
+              bookings.approve(db, second._id.toHexString(), function() {
+                bookings.forAdverts(db, [advert._id.toHexString()], ['pending', 'approved', 'expired'], function(err, byStatus) {
+                  assert.ifError(err);
+                  var guests = function(list) {
+                    return list.map(function(booking) { return booking.guestId; });
+                  };
+                  assert.deepEqual(guests(byStatus.pending), ['first', 'third']);
+                  assert.deepEqual(guests(byStatus.approved), ['second']);
+                  assert.deepEqual(byStatus.expired, []);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
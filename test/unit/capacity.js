@@ -0,0 +1,56 @@
+var assert = require('assert');
+var capacity = require('../../src/capacity');
+
+describe('Capacity', function() {
+
+  var CAPACITY = {maxGuests: 4, bedrooms: 2, beds: 3, bathrooms: 1.5, baseGuests: 2, extraGuestFee: 10};
+
+  it('accepts parties up to the number of guests the advert sleeps', function() {
+    assert.deepEqual(capacity.check(CAPACITY, 4), {});
+  });
+
+  it('rejects parties over capacity against the guests field', function() {
+    assert.deepEqual(capacity.check(CAPACITY, 5), {guests: 'This place sleeps at most 4 guests.'});
+  });
+
+  it('asks for a party size that makes sense', function() {
+    assert.deepEqual(Object.keys(capacity.check(CAPACITY, 0)), ['guests']);
+    assert.deepEqual(Object.keys(capacity.check(CAPACITY, NaN)), ['guests']);
+  });
+
+  it('takes any party size when the host set no limit', function() {
+    assert.deepEqual(capacity.check(undefined, 12), {});
+  });
+
+  it('reads the party size from the booking form', function() {
+    assert.equal(capacity.guestsFrom('3'), 3);
+    assert.equal(capacity.guestsFrom(undefined), 1);
+    assert.ok(isNaN(capacity.guestsFrom('2.5')));
+  });
+
+  it('reads capacity from the new advert form, ignoring blanks', function() {
+    assert.deepEqual(capacity.fromForm({
+      advertMaxGuests: '4',
+      advertBedrooms: '0',
+      advertBeds: '',
+      advertBathrooms: '1.4',
+      advertBaseGuests: '2',
+      advertExtraGuestFee: '12.505'
+    }), {maxGuests: 4, bedrooms: 0, beds: null, bathrooms: 1.5, baseGuests: 2, extraGuestFee: 12.51});
+  });
+
+  it('charges the extra-guest fee for each guest over the base, each night', function() {
+    assert.equal(capacity.extraGuestFee(CAPACITY, 2, 3), 0);
+    assert.equal(capacity.extraGuestFee(CAPACITY, 4, 3), 60);
+  });
+
+  it('charges no extra-guest fee without a base occupancy', function() {
+    assert.equal(capacity.extraGuestFee({extraGuestFee: 10}, 4, 3), 0);
+  });
+
+  it('describes capacity for listing cards', function() {
+    assert.deepEqual(capacity.describe(CAPACITY), ['sleeps 4', '2 bedrooms', '3 beds', '1.5 bathrooms']);
+    assert.deepEqual(capacity.describe({bedrooms: 0, beds: 1}), ['studio', '1 bed']);
+    assert.equal(capacity.describeFee(CAPACITY), '£10.00 a night for each guest over 2');
+  });
+});
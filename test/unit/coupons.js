@@ -0,0 +1,273 @@
+var assert = require('assert');
+var mongojs = require('mongojs');
+var memoryDb = require('../support/memoryDb');
+var coupons = require('../../src/coupons');
+var quotes = require('../../src/quotes');
+
+describe('Coupons', function() {
+
+  var ADVERT = {_id: mongojs.ObjectId(), userId: 'host1', price: '50'};
+  var TODAY = new Date('2020-06-01T12:00:00Z');
+
+  function coupon(fields) {
+    var base = {
+      _id: mongojs.ObjectId(), code: 'SUMMER', kind: 'percent', value: 10, currency: null,
+      expiresOn: null, maxUses: null, perGuestLimit: null, minNights: null,
+      advertIds: [], hostIds: [], uses: 0, usesBy: {}
+    };
+    Object.keys(fields || {}).forEach(function(key) {
+      base[key] = fields[key];
+    });
+    return base;
+  }
+
+  function check(fields, stay) {
+    stay = stay || {};
+    return coupons.check(coupon(fields), {
+      advert: stay.advert || ADVERT,
+      guestId: stay.guestId || 'guest1',
+      nightCount: stay.nightCount || 3,
+      when: TODAY
+    });
+  }
+
+  describe('from the admin form', function() {
+
+    it('reads a percentage coupon with its limits', function() {
+      var form = coupons.fromForm({code: ' summer-20 ', kind: 'percent', value: '20', maxUses: '100', perGuestLimit: '1', minNights: '', advertIds: 'a1, a2'});
+      assert.deepEqual(form.errors, {});
+      assert.equal(form.coupon.code, 'SUMMER-20');
+      assert.equal(form.coupon.value, 20);
+      assert.equal(form.coupon.currency, null);
+      assert.equal(form.coupon.maxUses, 100);
+      assert.equal(form.coupon.minNights, null);
+      assert.deepEqual(form.coupon.advertIds, ['a1', 'a2']);
+    });
+
+    it('reads a fixed amount in a currency', function() {
+      var form = coupons.fromForm({code: 'WELCOME', kind: 'fixed', value: '€15', currency: 'EUR'});
+      assert.equal(form.coupon.value, 15);
+      assert.equal(form.coupon.currency, 'EUR');
+    });
+
+    it('calls out bad codes and amounts', function() {
+      var form = coupons.fromForm({code: 'a b', kind: 'percent', value: '150'});
+      assert.deepEqual(Object.keys(form.errors).sort(), ['code', 'value']);
+    });
+  });
+
+  describe('checking a stay', function() {
+
+    it('accepts a coupon with no limits', function() {
+      assert.equal(check({}), null);
+    });
+
+    it('turns away unknown and expired codes', function() {
+      assert.equal(coupons.check(null, {}), 'We don\'t recognise that code.');
+      assert.equal(check({expiresOn: '2020-05-31'}), 'That code has expired.');
+      assert.equal(check({expiresOn: '2020-06-01'}), null);
+    });
+
+    it('holds stays to the minimum nights', function() {
+      assert.equal(check({minNights: 7}), 'That code is for stays of 7 nights or more.');
+      assert.equal(check({minNights: 7}, {nightCount: 7}), null);
+    });
+
+    it('keeps restricted coupons to their listings and hosts', function() {
+      assert.equal(check({advertIds: ['elsewhere']}), 'That code can\'t be used on this listing.');
+      assert.equal(check({advertIds: [ADVERT._id.toHexString()]}), null);
+      assert.equal(check({advertIds: ['elsewhere'], hostIds: ['host1']}), null);
+    });
+
+    it('turns away coupons that have run out', function() {
+      assert.equal(check({maxUses: 2, uses: 2}), 'That code has been used up.');
+      assert.equal(check({perGuestLimit: 1, usesBy: {guest1: 1}}), 'You\'ve already used that code.');
+      assert.equal(check({perGuestLimit: 1, usesBy: {guest2: 1}}), null);
+    });
+  });
+
+  describe('in quotes', function() {
+
+    var RATES = {serviceFeePercent: 10, hostCommissionPercent: 3, taxPercent: 20};
+    var STAY = {checkIn: '2020-06-10', checkOut: '2020-06-13'};
+
+    function quote(forQuote) {
+      return quotes.quote(ADVERT, {checkIn: STAY.checkIn, checkOut: STAY.checkOut, coupon: forQuote}, RATES);
+    }
+
+    it('takes a percentage off the stay, leaving the host\'s payout alone', function() {
+      var result = quote({code: 'SUMMER', percent: 10});
+      assert.deepEqual(result.coupon, {code: 'SUMMER', percent: 10, amount: 15});
+      assert.equal(result.total, 150 + 15 + 3 - 15);
+      assert.equal(result.hostPayout, quote(null).hostPayout);
+      assert.deepEqual(quotes.guestLines(result).pop(), {key: 'coupon', label: 'Code SUMMER (10% off)', amount: -15});
+    });
+
+    it('takes off no more than the stay costs', function() {
+      assert.equal(quote({code: 'BIG', amount: 500}).coupon.amount, 150);
+    });
+
+    it('converts a fixed amount to the advert\'s currency', function() {
+      var table = {rates: {GBP: 1, EUR: 1.2}};
+      assert.deepEqual(coupons.forQuote(coupon({kind: 'fixed', value: 10, currency: 'GBP'}), 'EUR', table), {code: 'SUMMER', amount: 12});
+      assert.deepEqual(coupons.forQuote(coupon({value: 25}), 'EUR', table), {code: 'SUMMER', percent: 25});
+    });
+  });
+
+  describe('redeeming', function() {
+
+    var db;
+
+    beforeEach(function() {
+      db = memoryDb();
+    });
+
+    function create(fields, callback) {
+      var form = coupons.fromForm({code: 'SUMMER', kind: 'percent', value: '10'});
+      Object.keys(fields).forEach(function(key) {
+        form.coupon[key] = fields[key];
+      });
+      coupons.create(db, form.coupon, 'admin@example.com', function(err, created) {
+        assert.ifError(err);
+        callback(created);
+      });
+    }
+
+    it('won\'t create two coupons with the same code', function(done) {
+      create({}, function() {
+        coupons.create(db, coupons.fromForm({code: 'summer', value: '5'}).coupon, 'admin@example.com', function(err, created, taken) {
+          assert.equal(created, null);
+          assert.equal(taken, 'There is already a coupon with that code.');
+          done();
+        });
+      });
+    });
+
+    it('creates a code only once when two admins add it at the same time', function(done) {
+      var results = [];
+      ['first@example.com', 'second@example.com'].forEach(function(admin) {
+        coupons.create(db, coupons.fromForm({code: 'WINTER', value: '5'}).coupon, admin, function(err, created, taken) {
+          assert.ifError(err);
+          results.push(created ? 'created' : taken);
+          if (results.length === 2) {
+            assert.deepEqual(results.sort(), ['There is already a coupon with that code.', 'created']);
+            db.coupons.count({code: 'WINTER'}, function(err, count) {
+              assert.equal(count, 1);
+              done();
+            });
+          }
+        });
+      });
+    });
+
+    it('finds coupons whatever the case of the code', function(done) {
+      create({}, function() {
+        coupons.find(db, ' summer ', function(err, found) {
+          assert.equal(found.code, 'SUMMER');
+          done();
+        });
+      });
+    });
+
+    it('never goes over the usage cap, however many guests redeem at once', function(done) {
+      create({maxUses: 3}, function(created) {
+        var redeemed = 0;
+        var remaining = 10;
+        for (var i = 0; i < 10; i++) {
+          coupons.redeem(db, created, 'guest' + i, function(err, result) {
+            assert.ifError(err);
+            if (result) {
+              redeemed++;
+            }
+            if (--remaining === 0) {
+              assert.equal(redeemed, 3);
+              coupons.find(db, 'SUMMER', function(err, found) {
+                assert.equal(found.uses, 3);
+                done();
+              });
+            }
+          });
+        }
+      });
+    });
+
+    it('holds each guest to their own limit', function(done) {
+      create({perGuestLimit: 1}, function(created) {
+        coupons.redeem(db, created, 'guest1', function(err, first) {
+          assert.ok(first);
+          coupons.redeem(db, created, 'guest1', function(err, second) {
+            assert.equal(second, null);
+            coupons.redeem(db, created, 'guest2', function(err, other) {
+              assert.ok(other);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    describe('giving uses back', function() {
+
+      function booked(status, extra, callback) {
+        create({maxUses: 1}, function(created) {
+          coupons.redeem(db, created, 'guest1', function() {
+            var booking = {guestId: 'guest1', status: status, coupon: {couponId: created._id.toHexString(), code: 'SUMMER', amount: 15}};
+            Object.keys(extra).forEach(function(key) {
+              booking[key] = extra[key];
+            });
+            db.bookings.insert(booking, function(err, inserted) {
+              callback(inserted);
+            });
+          });
+        });
+      }
+
+      function uses(callback) {
+        coupons.find(db, 'SUMMER', function(err, found) {
+          callback(found.uses, found.usesBy.guest1);
+        });
+      }
+
+      it('gives a declined request\'s use back, once', function(done) {
+        booked('denied', {}, function(booking) {
+          coupons.release(db, booking, function(err, released) {
+            assert.ok(released.coupon.released);
+            coupons.release(db, booking, function(err, again) {
+              assert.equal(again, null);
+              uses(function(total, guest) {
+                assert.equal(total, 0);
+                assert.equal(guest, 0);
+                done();
+              });
+            });
+          });
+        });
+      });
+
+      it('keeps the use of a stay that was cancelled after approval', function(done) {
+        booked('cancelled', {refund: {amount: 0}}, function(booking) {
+          coupons.release(db, booking, function(err, released) {
+            assert.equal(released, null);
+            uses(function(total) {
+              assert.equal(total, 1);
+              done();
+            });
+          });
+        });
+      });
+
+      it('sweeps up requests that expired or were denied in passing', function(done) {
+        booked('expired', {}, function() {
+          coupons.sweep(db, function(err, released) {
+            assert.ifError(err);
+            assert.equal(released.length, 1);
+            uses(function(total) {
+              assert.equal(total, 0);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+var assert = require('assert');
+var memoryDb = require('../support/memoryDb');
+var currencies = require('../../src/currencies');
+var quotes = require('../../src/quotes');
+
+describe('Currencies', function() {
+
+  var TABLE = {rates: {GBP: 1, EUR: 1.2, USD: 1.25, JPY: 180}, updatedAt: new Date('2020-06-01T00:00:00Z')};
+
+  it('treats missing and unknown currencies as pounds', function() {
+    assert.equal(currencies.codeNamed(undefined), 'GBP');
+    assert.equal(currencies.codeNamed('xyz'), 'GBP');
+    assert.equal(currencies.codeNamed('eur'), 'EUR');
+  });
+
+  it('formats amounts with their symbol, and yen without pence', function() {
+    assert.equal(currencies.format(45.5, 'GBP'), '£45.50');
+    assert.equal(currencies.format('50', 'EUR'), '€50.00');
+    assert.equal(currencies.format(-12, 'USD'), '-$12.00');
+    assert.equal(currencies.format(9400.4, 'JPY'), '¥9400');
+  });
+
+  it('converts between any two currencies through the pound', function() {
+    assert.equal(currencies.convert(100, 'GBP', 'EUR', TABLE), 120);
+    assert.equal(currencies.convert(120, 'EUR', 'USD', TABLE), 125);
+    assert.equal(currencies.rate('USD', 'GBP', TABLE), 0.8);
+  });
+
+  it('shows amounts in the guest\'s currency, or the host\'s when they have no preference', function() {
+    assert.equal(currencies.display(100, 'GBP', 'EUR', TABLE), '€120.00');
+    assert.equal(currencies.display(100, 'EUR', null, TABLE), '€100.00');
+    assert.equal(currencies.display(100, 'EUR', 'EUR', TABLE), '€100.00');
+  });
+
+  it('records the rate a guest saw a price at', function() {
+    assert.deepEqual(currencies.exchangeFor('GBP', 'JPY', TABLE), {
+      from: 'GBP', to: 'JPY', rate: 180, ratesUpdatedAt: TABLE.updatedAt
+    });
+    assert.equal(currencies.exchangeFor('GBP', 'GBP', TABLE), null);
+    assert.equal(currencies.exchangeFor('GBP', null, TABLE), null);
+  });
+
+  it('shows a booked amount again at the rate recorded on the booking', function() {
+    assert.equal(currencies.atBookedRate(110, {from: 'GBP', to: 'EUR', rate: 1.1}), '€121.00');
+  });
+
+  it('reads an admin\'s rates, calling out any that aren\'t positive numbers', function() {
+    var form = currencies.fromForm({rate_EUR: '1.15', rate_USD: '0', rate_JPY: 'lots', rate_CAD: '1.7', rate_AUD: '1.9', rate_CHF: '1.1'});
+    assert.deepEqual(form.invalid, ['USD', 'JPY']);
+    assert.equal(form.rates.EUR, 1.15);
+    assert.equal(form.rates.GBP, undefined);
+  });
+
+  it('quotes in the advert\'s currency', function() {
+    var quote = quotes.quote({price: '80', currency: 'EUR'}, {checkIn: '2020-06-01', checkOut: '2020-06-03'});
+    assert.equal(quote.currency, 'EUR');
+    assert.equal(quotes.guestLines(quote)[0].label, '€80.00 x 2 nights');
+  });
+
+  describe('the rate table', function() {
+
+    var db;
+
+    beforeEach(function() {
+      db = memoryDb();
+    });
+
+    it('starts from the built-in rates', function(done) {
+      currencies.load(db, function(err, table) {
+        assert.deepEqual(table.rates, currencies.DEFAULT_RATES);
+        assert.equal(table.updatedAt, null);
+        done();
+      });
+    });
+
+    it('keeps the rates an admin saves, and who saved them', function(done) {
+      currencies.save(db, {EUR: 1.1, USD: 1.3}, 'admin@example.com', function(err) {
+        assert.ifError(err);
+        currencies.load(db, function(err, table) {
+          assert.equal(table.rates.EUR, 1.1);
+          assert.equal(table.rates.USD, 1.3);
+          assert.equal(table.rates.GBP, 1);
+          assert.equal(table.rates.JPY, currencies.DEFAULT_RATES.JPY);
+          assert.equal(table.updatedBy, 'admin@example.com');
+          assert.ok(table.updatedAt instanceof Date);
+          done();
+        });
+      });
+    });
+  });
+});
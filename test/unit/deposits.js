@@ -0,0 +1,225 @@
+var assert = require('assert');
+var mongojs = require('mongojs');
+var memoryDb = require('../support/memoryDb');
+var createMockGateway = require('../../src/gateways/mock');
+var deposits = require('../../src/deposits');
+var payments = require('../../src/payments');
+
+describe('Deposits', function() {
+
+  var SUCCESS = '4242424242424242';
+  var DECLINE = '4000000000000002';
+  var AUTHENTICATE = '4000000000003220';
+  var RELEASE_DAYS = 3;
+  var db;
+  var gateway;
+
+  beforeEach(function() {
+    db = memoryDb();
+    gateway = createMockGateway();
+  });
+
+  // An approved stay from 10 to 12 June 2020 with a 200 deposit, paid for
+  // with `card`.
+  function stay(card, fields, callback) {
+    var booking = {
+      _id: mongojs.ObjectId(),
+      hostId: 'host',
+      guestId: 'guest',
+      guestUsername: 'guest',
+      checkIn: '2020-06-10',
+      checkOut: '2020-06-12',
+      status: 'approved',
+      deposit: deposits.forStay({deposit: '200'}, {currency: 'GBP'})
+    };
+    Object.keys(fields).forEach(function(key) {
+      booking[key] = fields[key];
+    });
+    db.bookings.insert(booking, function() {
+      payments.authorise(db, gateway, {
+        purpose: 'stay',
+        bookingId: booking._id.toHexString(),
+        amount: 100,
+        currency: 'GBP',
+        card: card,
+        siteUrl: ''
+      }, function() {
+        callback(booking);
+      });
+    });
+  }
+
+  function sweep(day, callback) {
+    deposits.sweep(db, gateway, {now: new Date(day + 'T12:00:00Z'), releaseDays: RELEASE_DAYS}, function(err, result) {
+      assert.ifError(err);
+      callback(result);
+    });
+  }
+
+  function reload(booking, callback) {
+    db.bookings.findOne({_id: booking._id}, function(err, found) {
+      callback(found);
+    });
+  }
+
+  // Holds the deposit on check-in day and files `amount` against it.
+  function claimed(amount, callback) {
+    stay(SUCCESS, {}, function(booking) {
+      sweep('2020-06-10', function(result) {
+        var held = result.held[0];
+        deposits.fileClaim(db, held, {amount: amount, description: 'Broken lamp', status: 'open'}, function(err, changed) {
+          callback(changed);
+        });
+      });
+    });
+  }
+
+  it('only asks for a deposit when the advert sets one', function() {
+    assert.strictEqual(deposits.forStay({price: '50'}, {currency: 'GBP'}), null);
+    assert.deepEqual(deposits.forStay({deposit: '£150'}, {currency: 'EUR'}),
+      {amount: 150, currency: 'EUR', status: 'scheduled', claim: null});
+  });
+
+  it('holds the deposit on the guest\'s card from check-in day', function(done) {
+    stay(SUCCESS, {}, function() {
+      sweep('2020-06-09', function(early) {
+        assert.equal(early.held.length, 0);
+        sweep('2020-06-10', function(result) {
+          var deposit = result.held[0].deposit;
+          assert.equal(deposit.status, 'held');
+          payments.find(db, deposit.paymentId, function(err, payment) {
+            assert.equal(payment.purpose, 'deposit');
+            assert.equal(payment.amount, 200);
+            assert.equal(payment.status, 'authorised');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('doesn\'t hold deposits for stays that aren\'t going ahead', function(done) {
+    stay(SUCCESS, {status: 'cancelled'}, function() {
+      sweep('2020-06-10', function(result) {
+        assert.equal(result.held.length, 0);
+        done();
+      });
+    });
+  });
+
+  it('tells both sides when the card is declined', function(done) {
+    stay(DECLINE, {}, function(booking) {
+      sweep('2020-06-10', function() {
+        reload(booking, function(found) {
+          assert.equal(found.deposit.status, 'failed');
+          db.notifications.find({}, function(err, sent) {
+            assert.deepEqual(sent.map(function(notification) { return notification.userId; }).sort(), ['guest', 'host']);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('holds the deposit once the guest passes 3-D Secure', function(done) {
+    stay(AUTHENTICATE, {}, function() {
+      sweep('2020-06-10', function(result) {
+        var booking = result.held[0];
+        assert.equal(booking.deposit.status, 'requires_action');
+        payments.find(db, booking.deposit.paymentId, function(err, payment) {
+          gateway.authenticate(payment.gatewayId, true, function() {
+            payments.refresh(db, gateway, payment, function(err, refreshed) {
+              deposits.recordHold(db, booking, refreshed, function(err, changed) {
+                assert.equal(changed.deposit.status, 'held');
+                assert.strictEqual(changed.deposit.actionUrl, null);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('releases an unclaimed deposit a few days after check-out', function(done) {
+    stay(SUCCESS, {}, function(booking) {
+      sweep('2020-06-10', function() {
+        sweep('2020-06-14', function(early) {
+          assert.equal(early.settled.length, 0);
+          sweep('2020-06-15', function(result) {
+            assert.equal(result.settled[0].deposit.status, 'released');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('lets hosts claim up to the deposit until it is released', function(done) {
+    stay(SUCCESS, {}, function() {
+      sweep('2020-06-10', function(result) {
+        var booking = result.held[0];
+        assert.ok(deposits.canClaim(booking, '2020-06-14', RELEASE_DAYS));
+        assert.ok(!deposits.canClaim(booking, '2020-06-15', RELEASE_DAYS));
+        assert.equal(deposits.claimFromForm({amount: '250', description: 'Sofa'}, booking.deposit).error,
+          'Claim an amount up to the £200.00 deposit.');
+        assert.equal(deposits.claimFromForm({amount: '50'}, booking.deposit).error, 'Describe what the claim is for.');
+        done();
+      });
+    });
+  });
+
+  it('keeps a claimed deposit past its release day', function(done) {
+    claimed(50, function(booking) {
+      assert.ok(!deposits.canClaim(booking, '2020-06-11', RELEASE_DAYS));
+      sweep('2020-06-20', function(result) {
+        assert.equal(result.settled.length, 0);
+        done();
+      });
+    });
+  });
+
+  it('captures an accepted claim and releases the rest', function(done) {
+    claimed(50, function(booking) {
+      deposits.respond(db, booking, true, null, function(err, accepted) {
+        deposits.settle(db, gateway, accepted, '2020-06-12', RELEASE_DAYS, function(err, settled) {
+          assert.equal(settled.deposit.status, 'captured');
+          assert.equal(settled.deposit.captured, 50);
+          done();
+        });
+      });
+    });
+  });
+
+  it('settles a disputed claim at what an admin awards', function(done) {
+    claimed(50, function(booking) {
+      deposits.respond(db, booking, false, 'It was broken when I arrived', function(err, disputed) {
+        assert.equal(disputed.deposit.claim.reason, 'It was broken when I arrived');
+        deposits.disputes(db, function(err, waiting) {
+          assert.equal(waiting.length, 1);
+          deposits.resolve(db, disputed, '60', '', 'admin@example.com', function(err, unchanged, invalid) {
+            assert.equal(invalid, 'Award between nothing and the £50.00 claimed.');
+            deposits.resolve(db, disputed, '0', 'No evidence', 'admin@example.com', function(err, resolved) {
+              deposits.settle(db, gateway, resolved, '2020-06-12', RELEASE_DAYS, function(err, settled) {
+                assert.equal(settled.deposit.status, 'released');
+                assert.equal(deposits.describeStatus(settled, RELEASE_DAYS), '£200.00 deposit, released');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('only takes one answer to a claim', function(done) {
+    claimed(50, function(booking) {
+      deposits.respond(db, booking, true, null, function() {
+        deposits.respond(db, booking, false, 'Changed my mind', function(err, again) {
+          assert.strictEqual(again, null);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+var assert = require('assert');
+var memoryDb = require('../support/memoryDb');
+var discounts = require('../../src/discounts');
+var quotes = require('../../src/quotes');
+
+describe('Length-of-stay discounts', function() {
+
+  var TIERS = [{minNights: 7, percent: 10}, {minNights: 28, percent: 25}];
+
+  it('reads tiers from the form, sorted and without blanks', function() {
+    assert.deepEqual(discounts.fromForm(['28', '7', '14'], ['25', '10', '']), TIERS);
+  });
+
+  it('drops tiers with nonsense percentages or too few nights', function() {
+    assert.deepEqual(discounts.fromForm(['7', '1', '10'], ['100', '5', '0']), []);
+  });
+
+  it('accepts a single tier sent as plain strings', function() {
+    assert.deepEqual(discounts.fromForm('7', '10'), [{minNights: 7, percent: 10}]);
+  });
+
+  it('gives a stay the biggest tier it reaches', function() {
+    assert.equal(discounts.tierFor(TIERS, 6), null);
+    assert.equal(discounts.tierFor(TIERS, 7).percent, 10);
+    assert.equal(discounts.tierFor(TIERS, 27).percent, 10);
+    assert.equal(discounts.tierFor(TIERS, 40).percent, 25);
+  });
+
+  it('works out the discount on an amount', function() {
+    assert.deepEqual(discounts.apply(TIERS, 7, 333.33), {minNights: 7, percent: 10, amount: 33.33});
+    assert.equal(discounts.apply(undefined, 30, 1000), null);
+  });
+
+  it('describes tiers for listing cards', function() {
+    assert.deepEqual(discounts.describe(TIERS), ['10% off 7+ nights', '25% off 28+ nights']);
+  });
+
+  describe('in quotes', function() {
+
+    var RATES = {serviceFeePercent: 10, hostCommissionPercent: 3, taxPercent: 20};
+    var advert = {price: '50', cleaningFee: 40, discounts: TIERS};
+
+    it('takes the discount off the nights but not the fees', function() {
+      var quote = quotes.quote(advert, {checkIn: '2020-06-01', checkOut: '2020-06-08'}, RATES);
+      assert.equal(quote.nightlySubtotal, 350);
+      assert.deepEqual(quote.discount, {minNights: 7, percent: 10, amount: 35});
+      assert.equal(quote.subtotal, 355);
+      assert.equal(quote.serviceFee, 35.5);
+    });
+
+    it('shows the discount as a line of its own', function() {
+      var quote = quotes.quote(advert, {checkIn: '2020-06-01', checkOut: '2020-06-29'}, RATES);
+      var line = quotes.guestLines(quote)[1];
+      assert.deepEqual(line, {key: 'discount', label: '25% off 28+ nights', amount: -350});
+    });
+
+    it('leaves shorter stays alone', function() {
+      var quote = quotes.quote(advert, {checkIn: '2020-06-01', checkOut: '2020-06-07'}, RATES);
+      assert.equal(quote.discount, null);
+      assert.equal(quotes.guestLines(quote).filter(function(line) { return line.key === 'discount'; }).length, 0);
+    });
+  });
+
+  describe('searching', function() {
+
+    var db;
+
+    beforeEach(function(done) {
+      db = memoryDb();
+      db.adverts.insert([
+        {name: 'weekly', discounts: [{minNights: 7, percent: 10}]},
+        {name: 'monthly', discounts: [{minNights: 28, percent: 20}]},
+        {name: 'none', discounts: []},
+        {name: 'older'}
+      ], done);
+    });
+
+    function names(params, callback) {
+      db.adverts.find(discounts.searchQuery(params), function(err, docs) {
+        callback(docs.map(function(doc) { return doc.name; }).sort());
+      });
+    }
+
+    it('finds every listing when not asked for discounts', function(done) {
+      names({}, function(found) {
+        assert.equal(found.length, 4);
+        done();
+      });
+    });
+
+    it('finds listings with any discount', function(done) {
+      names({discounted: 'on'}, function(found) {
+        assert.deepEqual(found, ['monthly', 'weekly']);
+        done();
+      });
+    });
+
+    it('finds listings with a discount for a stay of a given length', function(done) {
+      names({discounted: 'on', stayNights: '10'}, function(found) {
+        assert.deepEqual(found, ['weekly']);
+        done();
+      });
+    });
+  });
+});
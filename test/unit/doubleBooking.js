@@ -0,0 +1,149 @@
+var assert = require('assert');
+var mongojs = require('mongojs');
+var memoryDb = require('../support/memoryDb');
+var bookings = require('../../src/bookings');
+var nights = require('../../src/nights');
+var quotes = require('../../src/quotes');
+
+describe('Approving bookings concurrently', function() {
+
+  var GUESTS = 25;
+  var start = nights.addDays(nights.of(), 30);
+  var db, advertId, requestIds;
+
+  beforeEach(function(done) {
+    db = memoryDb();
+    var advert = {userId: 'host', windows: [{id: 'w', start: start, end: nights.addDays(start, 30)}]};
+    db.adverts.insert(advert, function() {
+      advertId = advert._id.toHexString();
+      requestIds = [];
+      var remaining = GUESTS;
+      for (var guest = 0; guest < GUESTS; guest++) {
+        var checkIn = nights.addDays(start, guest % 2 ? 13 : 12);
+        var checkOut = nights.addDays(start, 15);
+        bookings.request(db, {
+          advertId: advertId,
+          hostId: 'host',
+          guestId: 'guest' + guest,
+          checkIn: checkIn,
+          checkOut: checkOut,
+          nights: nights.stay(checkIn, checkOut),
+          quote: quotes.quote(advert, {checkIn: checkIn, checkOut: checkOut})
+        }, function(err, booking) {
+          requestIds.push(booking._id.toHexString());
+          if (--remaining === 0) {
+            done();
+          }
+        });
+      }
+    });
+  });
+
+  function approveAll(callback) {
+    var results = [];
+    requestIds.forEach(function(id) {
+      bookings.approve(db, id, function(err, approved) {
+        results.push(err || approved);
+        if (results.length === requestIds.length) {
+          callback(results);
+        }
+      });
+    });
+  }
+
+  it('lets exactly one approval win overlapping stays', function(done) {
+    approveAll(function(results) {
+      var winners = results.filter(Boolean);
+      assert.equal(winners.length, 1);
+      assert.equal(winners[0].status, 'approved');
+      db.adverts.findOne({}, function(err, advert) {
+        assert.deepEqual(advert.bookedNights.slice().sort(), winners[0].nights);
+        done();
+      });
+    });
+  });
+
+  it('denies every overlapping request', function(done) {
+    approveAll(function() {
+      db.bookings.find({}, function(err, docs) {
+        var statuses = docs.map(function(booking) { return booking.status; });
+        assert.equal(statuses.filter(function(status) { return status === 'approved'; }).length, 1);
+        assert.equal(statuses.filter(function(status) { return status === 'denied'; }).length, GUESTS - 1);
+        done();
+      });
+    });
+  });
+
+  it('gives the nights back when an approved booking is cancelled', function(done) {
+    bookings.approve(db, requestIds[0], function(err, approved) {
+      bookings.cancel(db, requestIds[0], 'guest', function(err, cancelled) {
+        assert.equal(cancelled.status, 'cancelled');
+        db.adverts.findOne({}, function(err, advert) {
+          assert.deepEqual(advert.bookedNights, []);
+          done();
+        });
+      });
+    });
+  });
+
+  it('does not approve a stay over a night the host blocked', function(done) {
+    db.adverts.update({}, {$set: {blockedNights: [nights.addDays(start, 14)]}}, function() {
+      bookings.approve(db, requestIds[0], function(err, approved) {
+        assert.equal(approved, null);
+        done();
+      });
+    });
+  });
+
+  it('does not approve a stay over a night imported from another calendar', function(done) {
+    db.adverts.update({}, {$set: {'importedCalendars.other': {source: 'other.ics', nights: [nights.addDays(start, 14)]}}}, function() {
+      bookings.approve(db, requestIds[0], function(err, approved) {
+        assert.equal(approved, null);
+        done();
+      });
+    });
+  });
+
+  it('does not approve a request that was withdrawn', function(done) {
+    bookings.cancel(db, requestIds[0], 'guest', function() {
+      bookings.approve(db, requestIds[0], function(err, approved) {
+        assert.equal(approved, null);
+        db.adverts.findOne({}, function(err, advert) {
+          assert.equal((advert.bookedNights || []).length, 0);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('with Instant Book', function() {
+
+    it('approves a request straight away', function(done) {
+      bookings.bookInstantly(db, requestIds[0], function(err, approved, withdrawn) {
+        assert.ifError(err);
+        assert.equal(approved.status, 'approved');
+        assert.equal(withdrawn, undefined);
+        db.adverts.findOne({}, function(err, advert) {
+          assert.deepEqual(advert.bookedNights.slice().sort(), approved.nights);
+          done();
+        });
+      });
+    });
+
+    it('withdraws a request whose nights were just taken, as the site', function(done) {
+      // Another guest's stay is approved while this request is still being
+      // sent, before it could be denied.
+      bookings.approve(db, requestIds[0], function() {
+        db.bookings.update({_id: mongojs.ObjectId(requestIds[1])}, {$set: {status: 'pending'}}, function() {
+          bookings.bookInstantly(db, requestIds[1], function(err, approved, withdrawn) {
+            assert.ifError(err);
+            assert.equal(approved, null);
+            assert.equal(withdrawn.status, 'cancelled');
+            assert.equal(withdrawn.cancelledBy, 'system');
+            done();
+          });
+        });
+      });
+    });
+  });
+});
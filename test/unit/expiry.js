@@ -0,0 +1,79 @@
+var assert = require('assert');
+var mongojs = require('mongojs');
+var memoryDb = require('../support/memoryDb');
+var expiry = require('../../src/expiry');
+
+describe('Expiring pending requests', function() {
+
+  var NOW = new Date(2020, 5, 10, 12, 0, 0);
+  var HOUR = 60 * 60 * 1000;
+  var ADVERT_ID = mongojs.ObjectId();
+  var db;
+
+  function booking(id, status, hoursAgo, checkIn) {
+    return {
+      guestId: 'guest-' + id,
+      advertId: ADVERT_ID.toHexString(),
+      status: status,
+      checkIn: checkIn || '2020-06-20',
+      nights: [checkIn || '2020-06-20'],
+      createdAt: new Date(NOW.getTime() - hoursAgo * HOUR)
+    };
+  }
+
+  beforeEach(function(done) {
+    db = memoryDb();
+    db.adverts.insert({_id: ADVERT_ID, name: 'Cosy flat'});
+    db.bookings.insert([
+      booking('stale', 'pending', 25),
+      booking('fresh', 'pending', 2),
+      booking('past', 'pending', 2, '2020-06-09'),
+      booking('tonight', 'pending', 2, '2020-06-10'),
+      booking('approved', 'approved', 48)
+    ], done);
+  });
+
+  function statuses(callback) {
+    db.bookings.find({}, function(err, docs) {
+      var byGuest = {};
+      docs.forEach(function(doc) {
+        byGuest[doc.guestId.replace('guest-', '')] = doc.status;
+      });
+      callback(byGuest);
+    });
+  }
+
+  it('expires requests left longer than the window and requests whose night has passed', function(done) {
+    expiry.sweep(db, {now: NOW, hours: 24}, function(err, expired) {
+      assert.equal(expired.length, 2);
+      statuses(function(byGuest) {
+        assert.deepEqual(byGuest, {stale: 'expired', fresh: 'pending', past: 'expired', tonight: 'pending', approved: 'approved'});
+        done();
+      });
+    });
+  });
+
+  it('uses the configured window', function(done) {
+    expiry.sweep(db, {now: NOW, hours: 1}, function(err, expired) {
+      assert.equal(expired.length, 4);
+      done();
+    });
+  });
+
+  it('tells each guest their request expired', function(done) {
+    expiry.sweep(db, {now: NOW, hours: 24}, function() {
+      db.notifications.find({}, function(err, docs) {
+        assert.deepEqual(docs.map(function(doc) { return doc.userId; }).sort(), ['guest-past', 'guest-stale']);
+        assert.ok(/Cosy flat .* expired before the host replied/.test(docs[0].message));
+        done();
+      });
+    });
+  });
+
+  it('reads the window from the environment', function() {
+    process.env.PENDING_EXPIRY_HOURS = '48';
+    assert.equal(expiry.settings().hours, 48);
+    delete process.env.PENDING_EXPIRY_HOURS;
+    assert.equal(expiry.settings().hours, 24);
+  });
+});
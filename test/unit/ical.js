@@ -0,0 +1,235 @@
+var assert = require('assert');
+var calendars = require('../../src/calendars');
+var ical = require('../../src/ical');
+
+describe('iCalendar export', function() {
+
+  var advert = {_id: 'advert1', name: 'Cosy flat', blockedNights: ['2020-03-10', '2020-03-12', '2020-03-11', '2020-03-20']};
+  var approved = [{_id: 'booking1', advertId: 'advert1', guestUsername: 'sam', nights: ['2020-03-01', '2020-03-02'], totalPrice: 100}];
+
+  it('escapes commas, semicolons, backslashes and newlines in text', function() {
+    assert.equal(ical.escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('folds lines longer than 75 octets', function() {
+    var line = 'SUMMARY:' + new Array(100).join('x');
+    var parts = ical.fold(line).split('\r\n');
+    assert.equal(parts[0].length, 75);
+    assert.equal(parts[1].charAt(0), ' ');
+    assert.equal(parts.join('').replace(/ /g, ''), line);
+  });
+
+  it('does not split multi-byte characters when folding', function() {
+    var parts = ical.fold('SUMMARY:' + new Array(60).join('£')).split('\r\n ');
+    parts.forEach(function(part) {
+      assert.ok(Buffer.byteLength(part) <= 75);
+      assert.equal(part.indexOf('�'), -1);
+    });
+  });
+
+  it('joins consecutive nights into single runs', function() {
+    assert.deepEqual(ical.runsOf(advert.blockedNights), [
+      {start: '2020-03-10', end: '2020-03-13'},
+      {start: '2020-03-20', end: '2020-03-21'}
+    ]);
+  });
+
+  it('publishes approved bookings as all-day events ending on check-out day', function() {
+    var event = calendars.eventsFor(advert, approved)[0];
+    assert.deepEqual([event.start, event.end], ['2020-03-01', '2020-03-03']);
+    assert.equal(event.uid, 'booking-booking1@makersbnb');
+  });
+
+  it('publishes blocked nights with stable ids', function() {
+    var uids = calendars.eventsFor(advert, []).map(function(event) { return event.uid; });
+    assert.deepEqual(uids, ['blocked-advert1-2020-03-10@makersbnb', 'blocked-advert1-2020-03-20@makersbnb']);
+  });
+
+  it('writes a calendar with CRLF line endings and one VEVENT per event', function() {
+    var text = calendars.feed('Cosy flat', [advert], approved);
+    assert.equal(text.indexOf('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'), 0);
+    assert.equal(text.match(/BEGIN:VEVENT/g).length, 3);
+    assert.ok(text.indexOf('DTSTART;VALUE=DATE:20200301\r\nDTEND;VALUE=DATE:20200303') !== -1);
+    assert.ok(/DTSTAMP:\d{8}T\d{6}Z/.test(text));
+    assert.equal(text.slice(-15), 'END:VCALENDAR\r\n');
+  });
+});
+
+describe('iCalendar import', function() {
+
+  function calendar(events) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0'].concat(events.map(function(lines) {
+      return ['BEGIN:VEVENT'].concat(lines, 'END:VEVENT').join('\r\n');
+    }), 'END:VCALENDAR').join('\r\n');
+  }
+
+  function nightsIn(text, timeZone) {
+    return ical.parse(text, {timeZone: timeZone || 'Europe/London', from: '2030-01-01', until: '2031-12-31'}).map(function(event) {
+      return event.nights;
+    });
+  }
+
+  it('reads all-day events up to their exclusive end', function() {
+    var text = calendar([['UID:a', 'DTSTART;VALUE=DATE:20300301', 'DTEND;VALUE=DATE:20300304']]);
+    assert.deepEqual(nightsIn(text), [['2030-03-01', '2030-03-02', '2030-03-03']]);
+  });
+
+  it('only lists the nights of a long event between the import dates', function() {
+    var text = calendar([['UID:a', 'DTSTART;VALUE=DATE:19000101', 'DTEND;VALUE=DATE:21001231']]);
+    var taken = nightsIn(text)[0];
+    assert.equal(taken.length, 730);
+    assert.deepEqual([taken[0], taken[taken.length - 1]], ['2030-01-01', '2031-12-31']);
+  });
+
+  it('takes a single night for an all-day event with no end', function() {
+    assert.deepEqual(nightsIn(calendar([['UID:a', 'DTSTART;VALUE=DATE:20300301']])), [['2030-03-01']]);
+  });
+
+  it('unfolds lines and unescapes summaries', function() {
+    var text = calendar([['UID:a', 'DTSTART;VALUE=DATE:20300301', 'SUMMARY:Booked\\, via', '  another site']]);
+    assert.equal(ical.parse(text)[0].summary, 'Booked, via another site');
+  });
+
+  it('converts times in another time zone to the host\'s nights', function() {
+    var text = calendar([['UID:a', 'DTSTART;TZID=America/Los_Angeles:20300301T200000', 'DTEND;TZID=America/Los_Angeles:20300303T200000']]);
+    assert.deepEqual(nightsIn(text, 'Europe/London'), [['2030-03-02', '2030-03-03']]);
+    assert.deepEqual(nightsIn(text, 'America/Los_Angeles'), [['2030-03-01', '2030-03-02']]);
+  });
+
+  it('converts UTC times and reads durations', function() {
+    var text = calendar([['UID:a', 'DTSTART:20300131T230000Z', 'DURATION:P2D']]);
+    assert.deepEqual(nightsIn(text, 'Europe/Paris'), [['2030-02-01', '2030-02-02']]);
+  });
+
+  it('ignores cancelled and free events', function() {
+    var text = calendar([
+      ['UID:a', 'DTSTART;VALUE=DATE:20300301', 'STATUS:CANCELLED'],
+      ['UID:b', 'DTSTART;VALUE=DATE:20300302', 'TRANSP:TRANSPARENT']
+    ]);
+    assert.deepEqual(nightsIn(text), []);
+  });
+
+  it('expands weekly rules by day, leaving out EXDATEs', function() {
+    var text = calendar([['UID:a', 'DTSTART;VALUE=DATE:20300401', 'RRULE:FREQ=WEEKLY;BYDAY=MO,FR;COUNT=4', 'EXDATE;VALUE=DATE:20300405']]);
+    assert.deepEqual(nightsIn(text), [['2030-04-01', '2030-04-08', '2030-04-12']]);
+  });
+
+  it('skips months without the day a monthly rule falls on', function() {
+    var text = calendar([['UID:a', 'DTSTART;VALUE=DATE:20300131', 'RRULE:FREQ=MONTHLY;COUNT=3']]);
+    assert.deepEqual(nightsIn(text), [['2030-01-31', '2030-03-31', '2030-05-31']]);
+  });
+
+  it('stops daily rules at UNTIL', function() {
+    var text = calendar([['UID:a', 'DTSTART;VALUE=DATE:20300301', 'RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20300306']]);
+    assert.deepEqual(nightsIn(text), [['2030-03-01', '2030-03-03', '2030-03-05']]);
+  });
+
+  it('stops open-ended rules at the import horizon', function() {
+    var text = calendar([['UID:a', 'DTSTART;VALUE=DATE:20311201', 'RRULE:FREQ=WEEKLY']]);
+    assert.deepEqual(nightsIn(text), [['2031-12-01', '2031-12-08', '2031-12-15', '2031-12-22', '2031-12-29']]);
+  });
+
+  it('expands rules that began long before the import dates', function() {
+    var daily = calendar([['UID:a', 'DTSTART;VALUE=DATE:20000101', 'RRULE:FREQ=DAILY;UNTIL=20300105']]);
+    assert.deepEqual(nightsIn(daily), [['2030-01-01', '2030-01-02', '2030-01-03', '2030-01-04', '2030-01-05']]);
+    var weekly = calendar([['UID:a', 'DTSTART;VALUE=DATE:20000103', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20300110']]);
+    assert.deepEqual(nightsIn(weekly), [['2030-01-02', '2030-01-07', '2030-01-09']]);
+    var monthly = calendar([['UID:a', 'DTSTART;VALUE=DATE:19500131', 'RRULE:FREQ=MONTHLY;UNTIL=20300401']]);
+    assert.deepEqual(nightsIn(monthly), [['2030-01-31', '2030-03-31']]);
+  });
+
+  it('counts occurrences before the import dates towards COUNT', function() {
+    var text = calendar([['UID:a', 'DTSTART;VALUE=DATE:20291230', 'RRULE:FREQ=DAILY;COUNT=4']]);
+    assert.deepEqual(nightsIn(text), [['2030-01-01', '2030-01-02']]);
+    // 3,131 Mondays and Wednesdays come before 2030.
+    var old = calendar([['UID:a', 'DTSTART;VALUE=DATE:20000103', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3133']]);
+    assert.deepEqual(nightsIn(old), [['2030-01-02', '2030-01-07']]);
+  });
+
+  it('moves occurrences overridden by a RECURRENCE-ID event', function() {
+    var text = calendar([
+      ['UID:a', 'DTSTART;VALUE=DATE:20300301', 'RRULE:FREQ=DAILY;COUNT=3'],
+      ['UID:a', 'RECURRENCE-ID;VALUE=DATE:20300302', 'DTSTART;VALUE=DATE:20300310']
+    ]);
+    assert.deepEqual(nightsIn(text), [['2030-03-01', '2030-03-03'], ['2030-03-10']]);
+  });
+
+  it('knows real time zones from made-up ones', function() {
+    assert.ok(ical.isTimeZone('Europe/London'));
+    assert.ok(!ical.isTimeZone('Europe/Atlantis'));
+  });
+
+  describe('into an advert', function() {
+    var memoryDb = require('../support/memoryDb');
+    var nights = require('../../src/nights');
+    var db, advert;
+    var soon = nights.addDays(nights.of(), 10);
+
+    function allDay(uid, night) {
+      return ['UID:' + uid, 'DTSTART;VALUE=DATE:' + night.replace(/-/g, '')];
+    }
+
+    function importCalendar(events, done, source) {
+      calendars.importInto(db, advert, calendar(events), {timeZone: 'Europe/London', source: source || 'other.ics'}, function(err) {
+        if (err) {
+          return done(err);
+        }
+        db.adverts.findOne({_id: advert._id}, function(err, doc) {
+          advert = doc;
+          done(err);
+        });
+      });
+    }
+
+    beforeEach(function(done) {
+      db = memoryDb();
+      db.adverts.insert({name: 'Cosy flat', blockedNights: ['2030-01-01'], bookedNights: [nights.addDays(soon, 1)]}, function(err, doc) {
+        advert = doc;
+        done(err);
+      });
+    });
+
+    it('replaces the nights from the previous import', function(done) {
+      importCalendar([allDay('a', soon), allDay('b', nights.addDays(soon, 2))], function(err) {
+        if (err) {
+          return done(err);
+        }
+        importCalendar([allDay('b', nights.addDays(soon, 3))], function(err) {
+          assert.deepEqual(calendars.importedNights(advert), [nights.addDays(soon, 3)]);
+          done(err);
+        });
+      });
+    });
+
+    it('keeps the nights imported from other sites', function(done) {
+      importCalendar([allDay('a', soon)], function(err) {
+        if (err) {
+          return done(err);
+        }
+        importCalendar([allDay('b', nights.addDays(soon, 3))], function(err) {
+          assert.deepEqual(calendars.importedFrom(advert).map(function(imported) {
+            return [imported.source, imported.nights];
+          }), [['airbnb.ics', [soon]], ['vrbo.ics', [nights.addDays(soon, 3)]]]);
+          done(err);
+        }, 'vrbo.ics');
+      }, 'airbnb.ics');
+    });
+
+    it('leaves blocked and booked nights alone and reports clashes', function(done) {
+      importCalendar([allDay('a', nights.addDays(soon, 1))], function(err) {
+        assert.deepEqual(advert.blockedNights, ['2030-01-01']);
+        assert.deepEqual(advert.bookedNights, [nights.addDays(soon, 1)]);
+        assert.deepEqual(calendars.importedFrom(advert)[0].alreadyBooked, [nights.addDays(soon, 1)]);
+        done(err);
+      });
+    });
+
+    it('leaves out nights that have already gone', function(done) {
+      importCalendar([allDay('a', nights.addDays(nights.of(), -1))], function(err) {
+        assert.deepEqual(calendars.importedNights(advert), []);
+        assert.equal(calendars.importedFrom(advert)[0].events, 1);
+        done(err);
+      });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+var assert = require('assert');
+var mongojs = require('mongojs');
+var memoryDb = require('../support/memoryDb');
+var invoices = require('../../src/invoices');
+var quotes = require('../../src/quotes');
+
+describe('Host statements', function() {
+
+  var RATES = {serviceFeePercent: 10, hostCommissionPercent: 3, taxPercent: 20};
+  var db;
+  var advertId;
+
+  function booking(hostId, checkIn, checkOut, fields) {
+    var quote = quotes.quote({price: '50'}, {checkIn: checkIn, checkOut: checkOut}, RATES);
+    var doc = {
+      _id: mongojs.ObjectId(),
+      advertId: advertId,
+      hostId: hostId,
+      guestUsername: 'guest',
+      checkIn: checkIn,
+      checkOut: checkOut,
+      nights: [checkIn],
+      quote: quote,
+      totalPrice: quote.total,
+      status: 'approved'
+    };
+    Object.keys(fields || {}).forEach(function(key) {
+      doc[key] = fields[key];
+    });
+    return doc;
+  }
+
+  beforeEach(function(done) {
+    db = memoryDb();
+    var id = mongojs.ObjectId();
+    advertId = id.toHexString();
+    db.adverts.insert({_id: id, name: 'Flat', ownerUsername: 'host'}, done);
+  });
+
+  it('works out months either side of a date', function() {
+    assert.equal(invoices.monthOf(new Date('2020-01-15T12:00:00Z')), '2020-01');
+    assert.equal(invoices.previousMonth('2020-01'), '2019-12');
+    assert.equal(invoices.describeMonth('2020-06'), 'June 2020');
+  });
+
+  it('pays hosts their payout, less any share refunded on cancellation', function() {
+    var stay = booking('host1', '2020-06-10', '2020-06-12');
+    assert.equal(invoices.hostEarnings(stay), 97);
+    stay.status = 'cancelled';
+    stay.refund = {rate: 0.5, amount: stay.totalPrice / 2};
+    assert.equal(invoices.hostEarnings(stay), 48.5);
+  });
+
+  it('itemises stays with lines that add up', function() {
+    var cancelled = booking('host1', '2020-06-10', '2020-06-12', {status: 'cancelled', refund: {rate: 1, amount: 112}});
+    var result = invoices.statement([booking('host1', '2020-06-01', '2020-06-03'), cancelled], {});
+    assert.equal(result.lines[1].adjustment, -97);
+    assert.equal(result.lines[1].earnings, 0);
+    assert.deepEqual(result.totals, {GBP: {stay: 200, serviceFee: 20, taxes: 4, commission: 6, adjustment: -97, earnings: 97}});
+  });
+
+  it('breaks each stay down into its nights and fees', function() {
+    var stay = booking('host1', '2020-06-01', '2020-06-03');
+    stay.quote = quotes.quote({price: '50', cleaningFee: '20'}, {checkIn: '2020-06-01', checkOut: '2020-06-03'}, RATES);
+    var line = invoices.statement([stay], {}).lines[0];
+    assert.deepEqual(line.items, [{label: '£50.00 x 2 nights', amount: 100}, {label: 'Cleaning fee', amount: 20}]);
+    assert.equal(line.stay, 120);
+    assert.deepEqual([line.serviceFee, line.taxes, line.commission], [12, 2.4, 3.6]);
+    var text = invoices.render({number: 'INV-000001', month: '2020-06', issuedAt: new Date(), hostId: 'host1', lines: [line], totals: {}}).toString('latin1');
+    assert.ok(text.indexOf('Cleaning fee') !== -1);
+    assert.ok(text.indexOf('VAT on it') !== -1);
+  });
+
+  it('issues one numbered statement per host for stays beginning in the month', function(done) {
+    db.bookings.insert([
+      booking('hostB', '2020-06-10', '2020-06-12'),
+      booking('hostA', '2020-06-30', '2020-07-02'),
+      booking('hostA', '2020-07-01', '2020-07-03'),
+      booking('hostA', '2020-06-05', '2020-06-06', {status: 'denied'})
+    ], function() {
+      invoices.issue(db, '2020-06', function(err, issued) {
+        assert.ifError(err);
+        assert.deepEqual(issued.map(function(invoice) {
+          return [invoice.number, invoice.hostId, invoice.lines.length, invoice.hostUsername];
+        }), [['INV-000001', 'hostA', 1, 'host'], ['INV-000002', 'hostB', 1, 'host']]);
+        done();
+      });
+    });
+  });
+
+  it('catches up on every finished month that was missed', function(done) {
+    db.bookings.insert([
+      booking('hostA', '2020-04-10', '2020-04-12'),
+      booking('hostA', '2020-06-10', '2020-06-12'),
+      booking('hostA', '2020-07-10', '2020-07-12')
+    ], function() {
+      invoices.issueDue(db, new Date('2020-07-15T12:00:00Z'), function(err, issued) {
+        assert.ifError(err);
+        assert.deepEqual(issued.map(function(invoice) {
+          return [invoice.number, invoice.month];
+        }), [['INV-000001', '2020-04'], ['INV-000002', '2020-06']]);
+        invoices.issueDue(db, new Date('2020-09-01T12:00:00Z'), function(err, later) {
+          assert.deepEqual(later.map(function(invoice) {
+            return [invoice.number, invoice.month];
+          }), [['INV-000003', '2020-07']]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('doesn\'t issue a host two statements for the same month', function(done) {
+    db.bookings.insert(booking('hostA', '2020-06-10', '2020-06-12'), function() {
+      invoices.issue(db, '2020-06', function() {
+        invoices.issue(db, '2020-06', function(err, again) {
+          assert.equal(again.length, 0);
+          invoices.forHost(db, 'hostA', function(err, statements) {
+            assert.equal(statements.length, 1);
+            assert.ok(invoices.render(statements[0]).toString('latin1').indexOf('Statement INV-000001 - June 2020') !== -1);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
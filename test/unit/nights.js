@@ -0,0 +1,42 @@
+var assert = require('assert');
+var nights = require('../../src/nights');
+
+describe('Nights', function() {
+
+  it('stores dates as YYYY-MM-DD', function() {
+    assert.equal(nights.normalise('2020-03-01'), '2020-03-01');
+    assert.equal(nights.normalise('03/01/2020'), '2020-03-01');
+    assert.equal(nights.normalise('not a date'), null);
+  });
+
+  it('refuses days that don\'t exist or are out of range', function() {
+    assert.equal(nights.normalise('2024-13-45'), null);
+    assert.equal(nights.normalise('2023-02-29'), null);
+    assert.equal(nights.normalise('2024-02-29'), '2024-02-29');
+    assert.equal(nights.normalise('9999-12-31'), null);
+    assert.equal(nights.normalise('0001-01-01'), null);
+    assert.deepEqual(nights.range('9999-12-30', '9999-12-31'), []);
+  });
+
+  it('counts across month ends and clock changes', function() {
+    assert.equal(nights.addDays('2020-02-28', 2), '2020-03-01');
+    assert.equal(nights.addDays('2020-03-29', 1), '2020-03-30');
+    assert.equal(nights.addDays('2020-01-01', -1), '2019-12-31');
+  });
+
+  it('adds months, keeping to the end of shorter months', function() {
+    assert.equal(nights.addMonths('2020-01-15', 6), '2020-07-15');
+    assert.equal(nights.addMonths('2020-08-31', 1), '2020-09-30');
+    assert.equal(nights.addMonths('2019-11-30', 3), '2020-02-29');
+  });
+
+  it('lists the nights of a stay without the check-out day', function() {
+    assert.deepEqual(nights.stay('2020-03-13', '2020-03-16'), ['2020-03-13', '2020-03-14', '2020-03-15']);
+  });
+
+  it('has no nights when check-out is not after check-in', function() {
+    assert.deepEqual(nights.stay('2020-03-13', '2020-03-13'), []);
+    assert.deepEqual(nights.stay('2020-03-13', '2020-03-10'), []);
+    assert.deepEqual(nights.stay('2020-03-13', '2100-12-31'), []);
+  });
+});
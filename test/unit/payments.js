@@ -0,0 +1,348 @@
+var assert = require('assert');
+var mongojs = require('mongojs');
+var memoryDb = require('../support/memoryDb');
+var payments = require('../../src/payments');
+var createMockGateway = require('../../src/gateways/mock');
+var createStripeGateway = require('../../src/gateways/stripe');
+
+describe('Payments', function() {
+
+  var SUCCESS = '4242 4242 4242 4242';
+  var DECLINE = '4000000000000002';
+  var AUTHENTICATE = '4000000000003220';
+  var db;
+  var gateway;
+
+  beforeEach(function() {
+    db = memoryDb();
+    gateway = createMockGateway();
+  });
+
+  // Authorises `amount` with `card` for a booking in `status`, with any
+  // other booking `fields`.
+  function paidBooking(card, amount, status, fields, callback) {
+    var booking = {_id: mongojs.ObjectId(), status: status, totalPrice: amount};
+    Object.keys(fields).forEach(function(key) {
+      booking[key] = fields[key];
+    });
+    db.bookings.insert(booking, function() {
+      payments.authorise(db, gateway, {
+        purpose: 'stay',
+        bookingId: booking._id.toHexString(),
+        amount: amount,
+        currency: 'GBP',
+        card: card,
+        siteUrl: 'http://localhost:3000'
+      }, function(err, payment) {
+        assert.ifError(err);
+        callback(booking, payment);
+      });
+    });
+  }
+
+  describe('the mock gateway', function() {
+
+    it('authorises, declines or asks for 3-D Secure by card number', function(done) {
+      paidBooking(SUCCESS, 100, 'pending', {}, function(booking, authorised) {
+        paidBooking(DECLINE, 100, 'pending', {}, function(booking, declined) {
+          paidBooking(AUTHENTICATE, 100, 'pending', {}, function(booking, challenged) {
+            assert.equal(authorised.status, 'authorised');
+            assert.equal(declined.status, 'declined');
+            assert.equal(declined.message, 'Your card was declined.');
+            assert.equal(challenged.status, 'requires_action');
+            assert.equal(challenged.actionUrl, '/payments/mock/' + challenged.gatewayId);
+            done();
+          });
+        });
+      });
+    });
+
+    it('declines card numbers it doesn\'t know', function(done) {
+      paidBooking('1234', 100, 'pending', {}, function(booking, payment) {
+        assert.equal(payment.message, 'Your card number is not valid.');
+        done();
+      });
+    });
+
+    it('sends the guest back to the site after 3-D Secure', function(done) {
+      paidBooking(AUTHENTICATE, 100, 'pending', {}, function(booking, payment) {
+        gateway.authenticate(payment.gatewayId, true, function(err, returnUrl) {
+          assert.equal(returnUrl, 'http://localhost:3000/payments/' + payment._id.toHexString() + '/return');
+          payments.refresh(db, gateway, payment, function(err, refreshed) {
+            assert.equal(refreshed.status, 'authorised');
+            done();
+          });
+        });
+      });
+    });
+
+    it('declines a payment that fails 3-D Secure', function(done) {
+      paidBooking(AUTHENTICATE, 100, 'pending', {}, function(booking, payment) {
+        gateway.authenticate(payment.gatewayId, false, function() {
+          payments.refresh(db, gateway, payment, function(err, refreshed) {
+            assert.equal(refreshed.status, 'declined');
+            assert.equal(refreshed.message, 'Your bank didn\'t confirm the payment.');
+            done();
+          });
+        });
+      });
+    });
+
+    it('charges a card again by its saved payment method', function(done) {
+      paidBooking(AUTHENTICATE, 100, 'approved', {}, function(booking, payment) {
+        payments.authorise(db, gateway, {purpose: 'deposit', amount: 50, currency: 'GBP', savedMethod: payment.paymentMethod, siteUrl: ''}, function(err, again) {
+          assert.equal(payment.paymentMethod, 'mock_pm_3220');
+          assert.equal(again.status, 'requires_action');
+          done();
+        });
+      });
+    });
+
+    it('won\'t take a saved payment method as a card number', function(done) {
+      paidBooking(SUCCESS, 100, 'approved', {}, function(booking, payment) {
+        paidBooking(payment.paymentMethod, 50, 'approved', {}, function(booking, again) {
+          assert.equal(again.status, 'declined');
+          done();
+        });
+      });
+    });
+
+    it('won\'t refund more than was captured', function(done) {
+      paidBooking(SUCCESS, 100, 'approved', {}, function(booking, payment) {
+        payments.capture(db, gateway, payment, 100, function(err, captured) {
+          payments.refund(db, gateway, captured, 120, function(err) {
+            assert.ok(err);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('settling a booking', function() {
+
+    it('captures the payment once the booking is approved', function(done) {
+      paidBooking(SUCCESS, 100, 'approved', {}, function(booking) {
+        payments.settle(db, gateway, booking, function(err, payment) {
+          assert.ifError(err);
+          assert.equal(payment.status, 'captured');
+          assert.equal(payment.captured, 100);
+          assert.deepEqual(payment.events.map(function(event) { return event.type; }), ['authorise', 'capture']);
+          done();
+        });
+      });
+    });
+
+    it('voids the payment of a request that didn\'t go ahead', function(done) {
+      paidBooking(SUCCESS, 100, 'denied', {}, function(denied) {
+        paidBooking(AUTHENTICATE, 100, 'expired', {}, function(expired) {
+          payments.settle(db, gateway, denied, function(err, voided) {
+            payments.settle(db, gateway, expired, function(err, abandoned) {
+              assert.equal(voided.status, 'voided');
+              assert.equal(abandoned.status, 'voided');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('leaves pending requests alone', function(done) {
+      paidBooking(SUCCESS, 100, 'pending', {}, function(booking) {
+        payments.settle(db, gateway, booking, function(err, payment) {
+          assert.strictEqual(payment, null);
+          done();
+        });
+      });
+    });
+
+    it('refunds what a guest is owed on cancellation', function(done) {
+      paidBooking(SUCCESS, 100, 'approved', {}, function(booking) {
+        payments.settle(db, gateway, booking, function() {
+          booking.status = 'cancelled';
+          booking.refund = {rate: 0.5, amount: 50};
+          payments.settle(db, gateway, booking, function(err, payment) {
+            assert.equal(payment.status, 'refunded');
+            assert.equal(payment.refunded, 50);
+            payments.settle(db, gateway, booking, function(err, again) {
+              assert.strictEqual(again, null);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('only captures what isn\'t refunded when the payment was still held', function(done) {
+      paidBooking(SUCCESS, 100, 'cancelled', {refund: {rate: 0.5, amount: 50}}, function(booking) {
+        payments.settle(db, gateway, booking, function(err, payment) {
+          assert.equal(payment.status, 'captured');
+          assert.equal(payment.captured, 50);
+          done();
+        });
+      });
+    });
+
+    it('sweeps up payments whose bookings have moved on', function(done) {
+      paidBooking(SUCCESS, 100, 'approved', {}, function() {
+        paidBooking(SUCCESS, 80, 'denied', {}, function() {
+          paidBooking(SUCCESS, 60, 'pending', {}, function() {
+            payments.sweep(db, gateway, {}, function(err, settled) {
+              assert.ifError(err);
+              assert.deepEqual(settled.map(function(payment) { return payment.status; }).sort(), ['captured', 'voided']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('voids payments left without a booking once they are an hour old', function(done) {
+      payments.authorise(db, gateway, {
+        purpose: 'stay',
+        amount: 100,
+        currency: 'GBP',
+        card: SUCCESS,
+        siteUrl: 'http://localhost:3000'
+      }, function(err, payment) {
+        assert.ifError(err);
+        var later = function(minutes) {
+          return new Date(payment.createdAt.getTime() + minutes * 60 * 1000);
+        };
+        payments.sweep(db, gateway, {now: later(30)}, function(err, settled) {
+          assert.ifError(err);
+          assert.equal(settled.length, 0);
+          payments.sweep(db, gateway, {now: later(60)}, function(err, settled) {
+            assert.ifError(err);
+            assert.deepEqual(settled.map(function(voided) { return voided.status; }), ['voided']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('finds where guests can finish paying', function(done) {
+      paidBooking(AUTHENTICATE, 100, 'pending', {}, function(booking, payment) {
+        payments.awaitingAction(db, [booking._id.toHexString()], function(err, actionUrls) {
+          assert.equal(actionUrls[booking._id.toHexString()], payment.actionUrl);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('the Stripe gateway', function() {
+
+    // A gateway whose requests are kept in `sent` and answered with the
+    // next of `replies`, each [statusCode, body].
+    function stubbed(replies, sent) {
+      return createStripeGateway({
+        secretKey: 'sk_test',
+        send: function(options, method, path, form, callback) {
+          sent.push({method: method, path: path, form: form});
+          var reply = replies.shift();
+          callback(null, reply[0], reply[1]);
+        }
+      });
+    }
+
+    var CUSTOMER = [200, {id: 'cus_1'}];
+
+    it('holds the amount on the card in minor units', function(done) {
+      var sent = [];
+      var stripe = stubbed([CUSTOMER, [200, {id: 'pi_1', status: 'requires_capture', customer: 'cus_1', payment_method: 'pm_1'}]], sent);
+      stripe.authorise({amount: 112.5, currency: 'GBP', card: 'pm_1', returnUrl: 'http://x/return', reference: 'stay:1'}, function(err, answer) {
+        assert.ifError(err);
+        assert.deepEqual(answer, {id: 'pi_1', status: 'authorised', actionUrl: null, message: null, paymentMethod: 'cus_1/pm_1'});
+        assert.equal(sent[1].form.amount, 11250);
+        assert.equal(sent[1].form.currency, 'gbp');
+        assert.equal(sent[1].form.capture_method, 'manual');
+        assert.equal(sent[1].form.customer, 'cus_1');
+        assert.equal(sent[1].form.setup_future_usage, 'off_session');
+        done();
+      });
+    });
+
+    it('charges a saved card without the guest', function(done) {
+      var sent = [];
+      var stripe = stubbed([[200, {id: 'pi_2', status: 'requires_capture'}]], sent);
+      stripe.authorise({amount: 200, currency: 'GBP', savedMethod: 'cus_1/pm_1', returnUrl: '/return'}, function(err, answer) {
+        assert.equal(answer.status, 'authorised');
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].form.customer, 'cus_1');
+        assert.equal(sent[0].form.payment_method, 'pm_1');
+        assert.equal(sent[0].form.off_session, 'true');
+        done();
+      });
+    });
+
+    it('only takes payment method ids from the card form', function(done) {
+      var sent = [];
+      var stripe = stubbed([], sent);
+      stripe.authorise({amount: 200, currency: 'GBP', card: 'cus_1/pm_1', returnUrl: '/return'}, function(err, answer) {
+        assert.ifError(err);
+        assert.equal(answer.status, 'declined');
+        assert.equal(sent.length, 0);
+        done();
+      });
+    });
+
+    it('counts yen in whole units', function(done) {
+      var sent = [];
+      var stripe = stubbed([[200, {id: 'pi_1', status: 'succeeded'}]], sent);
+      stripe.capture('pi_1', 5000, 'JPY', function(err, answer) {
+        assert.equal(sent[0].form.amount_to_capture, 5000);
+        assert.equal(answer.status, 'captured');
+        done();
+      });
+    });
+
+    it('passes on where to do 3-D Secure', function(done) {
+      var stripe = stubbed([CUSTOMER, [200, {
+        id: 'pi_1',
+        status: 'requires_action',
+        next_action: {type: 'redirect_to_url', redirect_to_url: {url: 'https://hooks.stripe.com/3ds'}}
+      }]], []);
+      stripe.authorise({amount: 10, currency: 'GBP', card: 'pm_card_threeDSecure2Required'}, function(err, answer) {
+        assert.equal(answer.status, 'requires_action');
+        assert.equal(answer.actionUrl, 'https://hooks.stripe.com/3ds');
+        done();
+      });
+    });
+
+    it('answers a card error with a decline', function(done) {
+      var stripe = stubbed([CUSTOMER, [402, {error: {
+        type: 'card_error',
+        message: 'Your card has insufficient funds.',
+        payment_intent: {id: 'pi_1', status: 'requires_payment_method'}
+      }}]], []);
+      stripe.authorise({amount: 10, currency: 'GBP', card: 'pm_card_chargeDeclined'}, function(err, answer) {
+        assert.ifError(err);
+        assert.equal(answer.status, 'declined');
+        assert.equal(answer.message, 'Your card has insufficient funds.');
+        done();
+      });
+    });
+
+    it('treats other failures as errors', function(done) {
+      var stripe = stubbed([[401, {error: {type: 'invalid_request_error', message: 'Invalid API Key provided'}}]], []);
+      stripe.cancel('pi_1', function(err) {
+        assert.equal(err.message, 'Stripe: Invalid API Key provided');
+        done();
+      });
+    });
+
+    it('reads back the payment after a refund', function(done) {
+      var sent = [];
+      var stripe = stubbed([
+        [200, {id: 're_1', status: 'succeeded'}],
+        [200, {id: 'pi_1', status: 'succeeded', amount_refunded: 2500}]
+      ], sent);
+      stripe.refund('pi_1', 25, 'GBP', function(err, answer) {
+        assert.deepEqual(sent.map(function(request) { return request.path; }), ['/v1/refunds', '/v1/payment_intents/pi_1']);
+        assert.equal(answer.status, 'refunded');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+var assert = require('assert');
+var mongojs = require('mongojs');
+var memoryDb = require('../support/memoryDb');
+var payouts = require('../../src/payouts');
+var quotes = require('../../src/quotes');
+
+describe('Payouts', function() {
+
+  var RATES = {serviceFeePercent: 10, hostCommissionPercent: 3, taxPercent: 20};
+  var HOST_A = mongojs.ObjectId();
+  var HOST_B = mongojs.ObjectId();
+  var db;
+  var advertId;
+
+  // A two-night stay at 50 a night, which earns its host 97.
+  function booking(host, checkIn, checkOut, fields) {
+    var quote = quotes.quote({price: '50'}, {checkIn: checkIn, checkOut: checkOut}, RATES);
+    var doc = {
+      _id: mongojs.ObjectId(),
+      advertId: advertId,
+      hostId: host.toHexString(),
+      guestUsername: 'guest',
+      checkIn: checkIn,
+      checkOut: checkOut,
+      quote: quote,
+      totalPrice: quote.total,
+      currency: 'GBP',
+      status: 'approved'
+    };
+    Object.keys(fields || {}).forEach(function(key) {
+      doc[key] = fields[key];
+    });
+    return doc;
+  }
+
+  function at(time) {
+    return new Date('2020-06-' + time + 'Z');
+  }
+
+  function run(time, callback) {
+    payouts.run(db, {now: at(time), holdHours: 24}, function(err, paid) {
+      assert.ifError(err);
+      callback(paid);
+    });
+  }
+
+  beforeEach(function(done) {
+    db = memoryDb();
+    var id = mongojs.ObjectId();
+    advertId = id.toHexString();
+    db.adverts.insert({_id: id, name: 'Flat'}, function() {
+      db.users.insert([{_id: HOST_A, username: 'alice'}, {_id: HOST_B, username: 'bob'}], done);
+    });
+  });
+
+  it('holds earnings until 24 hours after the check-in day begins', function() {
+    assert.deepEqual(payouts.availableAt({checkIn: '2020-06-10'}, 24), new Date('2020-06-11T00:00:00Z'));
+  });
+
+  it('shows hosts what is held and what is ready, less commission', function(done) {
+    db.bookings.insert([
+      booking(HOST_A, '2020-06-10', '2020-06-12'),
+      booking(HOST_A, '2020-06-20', '2020-06-22'),
+      booking(HOST_A, '2020-06-12', '2020-06-14', {status: 'pending'})
+    ], function() {
+      payouts.balance(db, HOST_A.toHexString(), at('15T12:00:00'), function(err, owed) {
+        assert.ifError(err);
+        assert.deepEqual(owed.available, {GBP: 97});
+        assert.deepEqual(owed.held, {GBP: 97});
+        assert.equal(owed.entries[0].description, 'Stay: Flat, guest, Wed Jun 10 2020 - Fri Jun 12 2020');
+        done();
+      });
+    });
+  });
+
+  it('pays each host what is out of its hold, with a numbered report each', function(done) {
+    db.bookings.insert([
+      booking(HOST_A, '2020-06-10', '2020-06-12'),
+      booking(HOST_B, '2020-06-09', '2020-06-11'),
+      booking(HOST_B, '2020-06-11', '2020-06-13')
+    ], function() {
+      run('11T12:00:00', function(paid) {
+        assert.equal(paid.number, 'PO-000001');
+        assert.equal(paid.hostCount, 2);
+        assert.deepEqual(paid.totals, {GBP: 194});
+        payouts.forHost(db, HOST_B.toHexString(), function(err, reports) {
+          assert.equal(reports[0].hostUsername, 'bob');
+          assert.equal(reports[0].lines.length, 1);
+          assert.ok(payouts.render(reports[0]).toString('latin1').indexOf('Payout PO-000001') !== -1);
+          run('12T12:00:00', function(next) {
+            assert.equal(next.number, 'PO-000002');
+            assert.deepEqual(next.totals, {GBP: 97});
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('never pays the same earnings twice', function(done) {
+    db.bookings.insert(booking(HOST_A, '2020-06-10', '2020-06-12'), function() {
+      run('11T12:00:00', function() {
+        run('12T12:00:00', function(again) {
+          assert.strictEqual(again, null);
+          done();
+        });
+      });
+    });
+  });
+
+  it('takes refunds off earnings accrued before a cancellation', function(done) {
+    var stay = booking(HOST_A, '2020-06-10', '2020-06-12');
+    db.bookings.insert(stay, function() {
+      payouts.accrue(db, {now: at('01T00:00:00'), holdHours: 24}, function() {
+        db.bookings.update({_id: stay._id}, {$set: {status: 'cancelled', refund: {rate: 0.5, amount: stay.totalPrice / 2}}}, function() {
+          run('11T12:00:00', function(paid) {
+            assert.deepEqual(paid.totals, {GBP: 48.5});
+            db.payouts.findOne({}, function(err, report) {
+              assert.deepEqual(report.lines.map(function(line) { return [line.kind, line.amount]; }), [['stay', 97], ['cancellation', -48.5]]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('pays hosts what they kept from a deposit', function(done) {
+    db.bookings.insert(booking(HOST_A, '2020-06-10', '2020-06-12', {
+      deposit: {amount: 200, currency: 'GBP', status: 'captured', captured: 50}
+    }), function() {
+      run('16T12:00:00', function(paid) {
+        assert.deepEqual(paid.totals, {GBP: 147});
+        done();
+      });
+    });
+  });
+
+  it('exports a run as CSV for finance', function(done) {
+    db.bookings.insert(booking(HOST_A, '2020-06-10', '2020-06-12'), function() {
+      run('11T12:00:00', function(paid) {
+        db.payouts.find({runId: paid._id.toHexString()}, function(err, reports) {
+          var rows = payouts.csv(paid, reports).split('\r\n');
+          assert.equal(rows[0], 'run,paid_at,host_id,host_username,entry_id,booking_id,kind,description,currency,amount');
+          assert.ok(/^PO-000001,2020-06-11T12:00:00.000Z,\w+,alice,\w+,\w+,stay,"Stay: Flat, guest, Wed Jun 10 2020 - Fri Jun 12 2020",GBP,97.00$/.test(rows[1]), rows[1]);
+          assert.equal(rows.length, 3);
+          reports[0].hostUsername = '=HYPERLINK("http://evil.example","x")';
+          reports[0].lines[0].amount = -48.5;
+          var row = payouts.csv(paid, reports).split('\r\n')[1];
+          assert.ok(row.indexOf(',"\'=HYPERLINK(""http://evil.example"",""x"")",') !== -1, row);
+          assert.ok(/,GBP,-48\.50$/.test(row), row);
+          reports[0].hostUsername = '\t=1+1';
+          row = payouts.csv(paid, reports).split('\r\n')[1];
+          assert.ok(row.indexOf(',\'\t=1+1,') !== -1, row);
+          reports[0].hostUsername = '\r=1+1';
+          row = payouts.csv(paid, reports).split('\r\n')[1];
+          assert.ok(row.indexOf(',"\'\r=1+1",') !== -1, row);
+          done();
+        });
+      });
+    });
+  });
+});
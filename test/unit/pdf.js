@@ -0,0 +1,42 @@
+var assert = require('assert');
+var pdf = require('../../src/pdf');
+
+describe('PDF files', function() {
+
+  function text(buffer) {
+    return buffer.toString('latin1');
+  }
+
+  it('writes a PDF whose cross-reference table points at its objects', function() {
+    var file = text(pdf.render(['Hello']));
+    assert.equal(file.indexOf('%PDF-1.4'), 0);
+    var xref = Number(/startxref\n(\d+)/.exec(file)[1]);
+    assert.equal(file.slice(xref, xref + 4), 'xref');
+    var offsets = file.slice(xref).match(/^\d{10} 00000 n $/gm).map(function(entry) {
+      return Number(entry.slice(0, 10));
+    });
+    offsets.forEach(function(offset, index) {
+      assert.equal(file.slice(offset, offset + String(index + 1).length + 6), (index + 1) + ' 0 obj');
+    });
+  });
+
+  it('escapes brackets and writes currency signs in WinAnsi', function() {
+    var file = pdf.render(['(£5 + €5) \\ ¥5 ✓']);
+    assert.ok(text(file).indexOf('(\\(\xa35 + \x805\\) \\\\ \xa55 ?) Tj') !== -1);
+  });
+
+  it('starts a new page when one fills up', function() {
+    var lines = [];
+    for (var i = 0; i < 100; i++) {
+      lines.push('Line ' + i);
+    }
+    assert.ok(/\/Count 2 /.test(text(pdf.render(lines))));
+  });
+
+  it('lines amounts up against the right margin', function() {
+    var row = pdf.row('Cleaning fee', '£30.00');
+    assert.equal(row.length, pdf.WIDTH);
+    assert.equal(row.slice(-6), '£30.00');
+    assert.equal(pdf.row(new Array(200).join('x'), '£1.00').length, pdf.WIDTH);
+  });
+});
@@ -0,0 +1,110 @@
+var assert = require('assert');
+var pricing = require('../../src/pricing');
+
+describe('Pricing rules', function() {
+
+  // 2020-06-12 is a Friday.
+  var FRIDAY = '2020-06-12';
+  var SATURDAY = '2020-06-13';
+  var SUNDAY = '2020-06-14';
+  var MONDAY = '2020-06-15';
+
+  function advert(rules) {
+    return {price: '50', pricing: rules};
+  }
+
+  function priceOf(rules, night) {
+    return pricing.priceOf(advert(rules), night).price;
+  }
+
+  describe('reading money from forms', function() {
+
+    it('reads plain and formatted amounts', function() {
+      assert.equal(pricing.money('45'), 45);
+      assert.equal(pricing.money('£45.50'), 45.5);
+      assert.equal(pricing.money('1,200'), 1200);
+      assert.equal(pricing.money(12.345), 12.35);
+    });
+
+    it('treats blank, negative and unreadable amounts as missing', function() {
+      assert.equal(pricing.money(''), null);
+      assert.equal(pricing.money(undefined), null);
+      assert.equal(pricing.money('-5'), null);
+      assert.equal(pricing.money('lots'), null);
+    });
+  });
+
+  it('charges the base price when there are no rules', function() {
+    assert.deepEqual(pricing.priceOf({price: '50'}, FRIDAY), {night: FRIDAY, price: 50, rule: 'base', label: null});
+  });
+
+  it('adds the weekend surcharge to Friday and Saturday nights only', function() {
+    var rules = {weekendSurchargePercent: 20};
+    assert.equal(priceOf(rules, FRIDAY), 60);
+    assert.equal(priceOf(rules, SATURDAY), 60);
+    assert.equal(priceOf(rules, SUNDAY), 50);
+  });
+
+  it('prefers a day-of-week price to the base price', function() {
+    var rules = {weekdayPrices: [null, 40, null, null, null, null, null]};
+    assert.deepEqual(pricing.priceOf(advert(rules), MONDAY), {night: MONDAY, price: 40, rule: 'weekday', label: null});
+    assert.equal(priceOf(rules, SUNDAY), 50);
+  });
+
+  it('adds the weekend surcharge to day-of-week prices', function() {
+    assert.equal(priceOf({weekdayPrices: [null, null, null, null, null, 70, null], weekendSurchargePercent: 10}, FRIDAY), 77);
+  });
+
+  it('lets a date-range override beat every other rule, without the surcharge', function() {
+    var rules = {
+      weekdayPrices: [null, null, null, null, null, 70, null],
+      weekendSurchargePercent: 10,
+      overrides: [{start: '2020-06-10', end: '2020-06-20', price: 90, label: 'Summer'}]
+    };
+    assert.deepEqual(pricing.priceOf(advert(rules), FRIDAY), {night: FRIDAY, price: 90, rule: 'override', label: 'Summer'});
+  });
+
+  it('uses the shortest override where several cover a night', function() {
+    var rules = {overrides: [
+      {start: '2020-12-01', end: '2020-12-31', price: 80, label: 'December'},
+      {start: '2020-12-24', end: '2020-12-31', price: 150, label: 'Christmas week'}
+    ]};
+    assert.equal(priceOf(rules, '2020-12-10'), 80);
+    assert.equal(priceOf(rules, '2020-12-25'), 150);
+  });
+
+  it('groups the nights of a stay by price', function() {
+    var groups = pricing.breakdown(advert({weekendSurchargePercent: 20}), [FRIDAY, SATURDAY, SUNDAY, MONDAY]);
+    assert.deepEqual(groups, [
+      {price: 60, label: 'weekend', nights: [FRIDAY, SATURDAY], amount: 120},
+      {price: 50, label: null, nights: [SUNDAY, MONDAY], amount: 100}
+    ]);
+  });
+
+  it('finds the cheapest night for listing cards', function() {
+    var rules = {weekdayPrices: [null, 40, null, null, null, null, null]};
+    assert.equal(pricing.lowest(advert(rules), [FRIDAY, MONDAY]), 40);
+    assert.equal(pricing.lowest(advert(rules), [FRIDAY]), 50);
+    assert.equal(pricing.lowest(advert(rules), []), 50);
+  });
+
+  it('knows whether an advert has any rules', function() {
+    assert.equal(pricing.hasRules({price: '50'}), false);
+    assert.equal(pricing.hasRules(advert({weekdayPrices: [null, null, null, null, null, null, null]})), false);
+    assert.equal(pricing.hasRules(advert({weekendSurchargePercent: 15})), true);
+  });
+
+  it('reads weekday prices and the weekend surcharge from the pricing form', function() {
+    assert.deepEqual(pricing.fromForm({weekdayPrices: ['', '40', '', '', '', '65.5', ''], weekendSurchargePercent: ''}), {
+      weekdayPrices: [null, 40, null, null, null, 65.5, null],
+      weekendSurchargePercent: null
+    });
+  });
+
+  it('builds date-range overrides, swapping reversed dates', function() {
+    var override = pricing.buildOverride('2020-12-31', '2020-12-24', '150', ' Christmas week ');
+    assert.deepEqual([override.start, override.end, override.price, override.label], ['2020-12-24', '2020-12-31', 150, 'Christmas week']);
+    assert.ok(override.id);
+    assert.equal(pricing.buildOverride('2020-12-24', '2020-12-31', ''), null);
+  });
+});
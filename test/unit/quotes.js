@@ -0,0 +1,170 @@
+var assert = require('assert');
+var quotes = require('../../src/quotes');
+
+describe('Quotes', function() {
+
+  var RATES = {serviceFeePercent: 10, hostCommissionPercent: 3, taxPercent: 20};
+  var STAY = {checkIn: '2020-06-10', checkOut: '2020-06-13', guests: 2};
+  var ADVERT = {price: '50', cleaningFee: 30};
+
+  function quote(advert, stay) {
+    return quotes.quote(advert, stay || STAY, RATES);
+  }
+
+  function sum(lines) {
+    return Math.round(lines.reduce(function(total, line) {
+      return total + line.amount;
+    }, 0) * 100) / 100;
+  }
+
+  describe('for the guest', function() {
+
+    it('charges the nightly price for every night', function() {
+      var result = quote(ADVERT);
+      assert.equal(result.nights, 3);
+      assert.deepEqual(result.nightlyRates, [{price: 50, label: null, nights: 3, amount: 150}]);
+      assert.equal(result.nightlySubtotal, 150);
+    });
+
+    it('adds the cleaning fee once per stay', function() {
+      assert.equal(quote(ADVERT).cleaningFee, 30);
+      assert.equal(quote(ADVERT).subtotal, 180);
+    });
+
+    it('adds a service fee on the stay and tax on the service fee', function() {
+      var result = quote(ADVERT);
+      assert.equal(result.serviceFee, 18);
+      assert.equal(result.taxes, 3.6);
+      assert.equal(result.total, 201.6);
+    });
+
+    it('charges for guests over the number the price covers', function() {
+      var advert = {price: '50', capacity: {maxGuests: 6, baseGuests: 2, extraGuestFee: 15}};
+      var result = quote(advert, {checkIn: '2020-06-10', checkOut: '2020-06-12', guests: 4});
+      assert.equal(result.extraGuests, 2);
+      assert.equal(result.extraGuestFee, 60);
+      assert.equal(result.subtotal, 160);
+    });
+
+    it('prices a stay for one guest when no party size is given', function() {
+      var advert = {price: '50', capacity: {baseGuests: 1, extraGuestFee: 15}};
+      var result = quote(advert, {checkIn: '2020-06-10', checkOut: '2020-06-11'});
+      assert.equal(result.guests, 1);
+      assert.equal(result.extraGuestFee, 0);
+    });
+
+    it('reads prices stored as raw form strings', function() {
+      assert.equal(quote({price: '£49.99'}).nightlySubtotal, 149.97);
+      assert.equal(quote({price: ''}).total, 0);
+    });
+
+    it('charges nothing for a stay with no nights', function() {
+      var result = quote(ADVERT, {checkIn: '2020-06-10', checkOut: '2020-06-10'});
+      assert.equal(result.nights, 0);
+      assert.equal(result.cleaningFee, 0);
+      assert.equal(result.total, 0);
+    });
+
+    it('rounds every line to the penny and totals the rounded lines', function() {
+      var result = quote({price: '33.33', cleaningFee: 10}, {checkIn: '2020-06-10', checkOut: '2020-06-13'});
+      assert.equal(result.subtotal, 109.99);
+      assert.equal(result.serviceFee, 11);
+      assert.equal(result.taxes, 2.2);
+      assert.equal(result.total, 123.19);
+      assert.equal(sum(quotes.guestLines(result)), result.total);
+    });
+
+    it('uses the rates it is given and records them on the quote', function() {
+      var result = quotes.quote(ADVERT, STAY, {serviceFeePercent: 0, hostCommissionPercent: 15, taxPercent: 0});
+      assert.equal(result.total, 180);
+      assert.deepEqual(result.rates, {serviceFeePercent: 0, hostCommissionPercent: 15, taxPercent: 0});
+    });
+  });
+
+  describe('for the host', function() {
+
+    it('takes the commission off the stay subtotal', function() {
+      var result = quote(ADVERT);
+      assert.equal(result.hostCommission, 5.4);
+      assert.equal(result.hostPayout, 174.6);
+    });
+
+    it('never takes the guest service fee or tax into account', function() {
+      var cheap = quotes.quote(ADVERT, STAY, {serviceFeePercent: 0, hostCommissionPercent: 3, taxPercent: 0});
+      assert.equal(cheap.hostPayout, quote(ADVERT).hostPayout);
+    });
+
+    it('breaks down what the host earns', function() {
+      var lines = quotes.hostLines(quote(ADVERT));
+      assert.deepEqual(lines.map(function(line) { return line.key; }), ['subtotal', 'hostCommission', 'hostPayout']);
+      assert.equal(lines[1].label, 'Commission (3%)');
+      assert.equal(Math.round((lines[0].amount + lines[1].amount) * 100) / 100, lines[2].amount);
+    });
+  });
+
+  describe('line items', function() {
+
+    it('lists every charge that applies in order', function() {
+      var advert = {price: '50', cleaningFee: 30, capacity: {baseGuests: 1, extraGuestFee: 10}};
+      var lines = quotes.guestLines(quote(advert));
+      assert.deepEqual(lines.map(function(line) { return line.key; }), ['nights', 'extraGuestFee', 'cleaningFee', 'serviceFee', 'taxes']);
+      assert.equal(lines[0].label, '£50.00 x 3 nights');
+      assert.equal(lines[1].label, '1 extra guest');
+    });
+
+    it('lists nights at different prices on lines of their own', function() {
+      var advert = {price: '50', pricing: {weekendSurchargePercent: 20, overrides: [{start: '2020-06-14', end: '2020-06-14', price: 99, label: 'Festival'}]}};
+      var result = quote(advert, {checkIn: '2020-06-11', checkOut: '2020-06-16'});
+      assert.deepEqual(quotes.guestLines(result).slice(0, 3), [
+        {key: 'nights', label: '£50.00 x 2 nights', amount: 100},
+        {key: 'nights', label: '£60.00 x 2 nights (weekend)', amount: 120},
+        {key: 'nights', label: '£99.00 x 1 night (Festival)', amount: 99}
+      ]);
+      assert.equal(result.nightlySubtotal, 319);
+    });
+
+    it('leaves out charges that do not apply', function() {
+      var lines = quotes.guestLines(quotes.quote({price: '50'}, STAY, {serviceFeePercent: 0, hostCommissionPercent: 3, taxPercent: 20}));
+      assert.deepEqual(lines.map(function(line) { return line.key; }), ['nights']);
+    });
+
+    it('adds up to the total', function() {
+      var result = quote({price: '87.5', cleaningFee: 25, capacity: {baseGuests: 1, extraGuestFee: 12.5}});
+      assert.equal(sum(quotes.guestLines(result)), result.total);
+    });
+  });
+
+  describe('settings', function() {
+
+    var saved = {};
+    var NAMES = ['GUEST_SERVICE_FEE_PERCENT', 'HOST_COMMISSION_PERCENT', 'TAX_PERCENT'];
+
+    beforeEach(function() {
+      NAMES.forEach(function(name) {
+        saved[name] = process.env[name];
+        delete process.env[name];
+      });
+    });
+
+    afterEach(function() {
+      NAMES.forEach(function(name) {
+        if (saved[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = saved[name];
+        }
+      });
+    });
+
+    it('has defaults', function() {
+      assert.deepEqual(quotes.settings(), {serviceFeePercent: 10, hostCommissionPercent: 3, taxPercent: 20});
+    });
+
+    it('reads rates from the environment, ignoring nonsense', function() {
+      process.env.GUEST_SERVICE_FEE_PERCENT = '12.5';
+      process.env.HOST_COMMISSION_PERCENT = '0';
+      process.env.TAX_PERCENT = 'none';
+      assert.deepEqual(quotes.settings(), {serviceFeePercent: 12.5, hostCommissionPercent: 0, taxPercent: 20});
+    });
+  });
+});
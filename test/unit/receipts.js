@@ -0,0 +1,114 @@
+var assert = require('assert');
+var mongojs = require('mongojs');
+var memoryDb = require('../support/memoryDb');
+var quotes = require('../../src/quotes');
+var receipts = require('../../src/receipts');
+
+describe('Receipts', function() {
+
+  var RATES = {serviceFeePercent: 10, hostCommissionPercent: 3, taxPercent: 20};
+  var db;
+
+  beforeEach(function() {
+    db = memoryDb();
+  });
+
+  function approved(callback) {
+    var quote = quotes.quote({price: '50', cleaningFee: 30}, {checkIn: '2020-06-10', checkOut: '2020-06-13'}, RATES);
+    db.bookings.insert({
+      advertId: mongojs.ObjectId().toHexString(),
+      guestUsername: 'guest',
+      checkIn: '2020-06-10',
+      checkOut: '2020-06-13',
+      nights: ['2020-06-10', '2020-06-11', '2020-06-12'],
+      quote: quote,
+      totalPrice: quote.total,
+      status: 'approved'
+    }, function(err, booking) {
+      callback(booking);
+    });
+  }
+
+  it('numbers receipts in turn', function(done) {
+    approved(function(first) {
+      approved(function(second) {
+        receipts.issue(db, first, function(err, one) {
+          receipts.issue(db, second, function(err, two) {
+            assert.equal(one.receipt.number, 'R-000001');
+            assert.equal(two.receipt.number, 'R-000002');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('keeps a booking\'s first number', function(done) {
+    approved(function(booking) {
+      receipts.issue(db, booking, function(err, issued) {
+        receipts.issue(db, issued, function(err, again) {
+          assert.equal(again.receipt.number, 'R-000001');
+          done();
+        });
+      });
+    });
+  });
+
+  it('takes one number per booking however many issue it at once', function(done) {
+    approved(function(first) {
+      approved(function(second) {
+        var remaining = 3;
+        [first, first, first].forEach(function(booking) {
+          receipts.issue(db, booking, function(err) {
+            assert.ifError(err);
+            if (--remaining === 0) {
+              receipts.issue(db, second, function(err, next) {
+                assert.equal(next.receipt.number, 'R-000002');
+                db.bookings.findOne({_id: first._id}, function(err, numbered) {
+                  assert.equal(numbered.receipt.number, 'R-000001');
+                  done();
+                });
+              });
+            }
+          });
+        });
+      });
+    });
+  });
+
+  it('itemises the nights, fees and taxes', function(done) {
+    approved(function(booking) {
+      var lines = receipts.lines(booking);
+      assert.deepEqual(lines.map(function(line) { return line.key; }), ['nights', 'cleaningFee', 'serviceFee', 'taxes', 'total']);
+      assert.equal(lines.pop().amount, 201.6);
+      done();
+    });
+  });
+
+  it('shows a refund once the booking is cancelled', function(done) {
+    approved(function(booking) {
+      booking.status = 'cancelled';
+      booking.refund = {rate: 0.5, amount: 100.8};
+      var lines = receipts.lines(booking);
+      assert.deepEqual(lines.slice(-2), [
+        {key: 'refund', label: 'Refunded on cancellation (50%)', amount: -100.8},
+        {key: 'net', label: 'Total after refund', amount: 100.8}
+      ]);
+      done();
+    });
+  });
+
+  it('draws a PDF with the receipt number', function(done) {
+    approved(function(booking) {
+      receipts.issue(db, booking, function(err, issued) {
+        receipts.pdfFor(db, issued, function(err, buffer) {
+          assert.ifError(err);
+          var file = buffer.toString('latin1');
+          assert.ok(file.indexOf('Receipt R-000001') !== -1);
+          assert.ok(file.indexOf('Total paid') !== -1);
+          done();
+        });
+      });
+    });
+  });
+});
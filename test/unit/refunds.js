@@ -0,0 +1,92 @@
+var assert = require('assert');
+var refunds = require('../../src/refunds');
+
+describe('Refunds', function() {
+
+  var CHECK_IN = '2020-06-20';
+
+  function daysAhead(days) {
+    var when = new Date(2020, 5, 20, 12, 0, 0);
+    when.setDate(when.getDate() - days);
+    return when;
+  }
+
+  function refund(policy, days, cancelledBy) {
+    return refunds.calculate({
+      policy: policy,
+      amount: 300,
+      checkIn: CHECK_IN,
+      cancelledBy: cancelledBy || 'guest',
+      when: daysAhead(days)
+    });
+  }
+
+  describe('flexible', function() {
+    it('refunds in full up to the day before check-in', function() {
+      assert.equal(refund('flexible', 30).amount, 300);
+      assert.equal(refund('flexible', 1).amount, 300);
+    });
+
+    it('refunds nothing on the check-in day', function() {
+      assert.equal(refund('flexible', 0).amount, 0);
+    });
+  });
+
+  describe('moderate', function() {
+    it('refunds in full five or more days before check-in', function() {
+      assert.equal(refund('moderate', 5).amount, 300);
+    });
+
+    it('refunds half from four days to one day before check-in', function() {
+      assert.equal(refund('moderate', 4).amount, 150);
+      assert.equal(refund('moderate', 1).amount, 150);
+    });
+
+    it('refunds nothing on the check-in day', function() {
+      assert.equal(refund('moderate', 0).amount, 0);
+    });
+  });
+
+  describe('strict', function() {
+    it('refunds in full fourteen or more days before check-in', function() {
+      assert.equal(refund('strict', 14).amount, 300);
+    });
+
+    it('refunds half from thirteen to seven days before check-in', function() {
+      assert.equal(refund('strict', 13).amount, 150);
+      assert.equal(refund('strict', 7).amount, 150);
+    });
+
+    it('refunds nothing in the last six days', function() {
+      assert.equal(refund('strict', 6).amount, 0);
+      assert.equal(refund('strict', 0).amount, 0);
+    });
+  });
+
+  it('refunds guests in full when the host or the site cancels', function() {
+    assert.equal(refund('strict', 0, 'host').amount, 300);
+    assert.equal(refund('strict', 0, 'system').amount, 300);
+  });
+
+  it('reports the policy, days and rate used', function() {
+    var result = refund('moderate', 3);
+    assert.deepEqual(result, {policy: 'moderate', daysBefore: 3, rate: 0.5, amount: 150});
+  });
+
+  it('rounds refunds to the penny', function() {
+    var result = refunds.calculate({policy: 'moderate', amount: 99.99, checkIn: CHECK_IN, when: daysAhead(2)});
+    assert.equal(result.amount, 50);
+  });
+
+  it('falls back to the flexible policy for unknown or missing policies', function() {
+    assert.equal(refunds.policyNamed(undefined), 'flexible');
+    assert.equal(refunds.policyNamed('generous'), 'flexible');
+    assert.equal(refund('generous', 1).policy, 'flexible');
+  });
+
+  it('only allows cancelling until the check-in day', function() {
+    assert.equal(refunds.canCancel(CHECK_IN, daysAhead(3)), true);
+    assert.equal(refunds.canCancel(CHECK_IN, daysAhead(0)), true);
+    assert.equal(refunds.canCancel(CHECK_IN, daysAhead(-1)), false);
+  });
+});
@@ -0,0 +1,67 @@
+var assert = require('assert');
+var stayRules = require('../../src/stayRules');
+
+describe('Stay rules', function() {
+
+  var NOW = new Date(2020, 5, 10, 12, 0, 0);
+  var RULES = {minNights: 2, maxNights: 14, noticeDays: 3, maxMonthsAhead: 6};
+
+  it('accepts a stay that keeps to every rule', function() {
+    assert.deepEqual(stayRules.check(RULES, '2020-06-13', '2020-06-15', NOW), {});
+  });
+
+  it('accepts anything when the host set no rules', function() {
+    assert.deepEqual(stayRules.check({}, '2020-06-10', '2020-06-11', NOW), {});
+    assert.deepEqual(stayRules.check(undefined, '2021-06-10', '2021-07-11', NOW), {});
+  });
+
+  it('explains a stay that is too short against the check-out date', function() {
+    var errors = stayRules.check(RULES, '2020-06-20', '2020-06-21', NOW);
+    assert.deepEqual(Object.keys(errors), ['checkOut']);
+    assert.equal(errors.checkOut, 'Stays here must be at least 2 nights.');
+  });
+
+  it('explains a stay that is too long against the check-out date', function() {
+    var errors = stayRules.check(RULES, '2020-06-20', '2020-07-05', NOW);
+    assert.equal(errors.checkOut, 'Stays here can be at most 14 nights.');
+  });
+
+  it('caps stays at a year even when the host sets no maximum', function() {
+    assert.deepEqual(stayRules.check({}, '2020-06-10', '2021-06-10', NOW), {});
+    assert.equal(stayRules.check({}, '2020-06-10', '2100-12-31', NOW).checkOut, 'Stays can be at most 365 nights.');
+  });
+
+  it('explains short notice against the check-in date', function() {
+    var errors = stayRules.check(RULES, '2020-06-12', '2020-06-15', NOW);
+    assert.deepEqual(Object.keys(errors), ['checkIn']);
+    assert.ok(/at least 3 days' notice/.test(errors.checkIn));
+    assert.ok(/Sat Jun 13 2020/.test(errors.checkIn));
+  });
+
+  it('explains a check-in too far ahead against the check-in date', function() {
+    var errors = stayRules.check(RULES, '2020-12-11', '2020-12-14', NOW);
+    assert.ok(/up to 6 months ahead/.test(errors.checkIn));
+    assert.deepEqual(stayRules.check(RULES, '2020-12-10', '2020-12-14', NOW), {});
+  });
+
+  it('reports a broken check-in and check-out rule together', function() {
+    var errors = stayRules.check(RULES, '2020-06-11', '2020-06-12', NOW);
+    assert.deepEqual(Object.keys(errors).sort(), ['checkIn', 'checkOut']);
+  });
+
+  it('rejects past check-ins and check-outs before check-in', function() {
+    assert.equal(stayRules.check({}, '2020-06-09', '2020-06-12', NOW).checkIn, 'Check-in can\'t be in the past.');
+    assert.equal(stayRules.check({}, '2020-06-12', '2020-06-12', NOW).checkOut, 'Check-out must be after check-in.');
+    assert.equal(stayRules.check({}, null, null, NOW).checkIn, 'Please choose a check-in date.');
+  });
+
+  it('reads rules from the new advert form, ignoring blanks', function() {
+    assert.deepEqual(stayRules.fromForm({advertMinNights: '2', advertMaxNights: '', advertNoticeDays: '3'}),
+      {minNights: 2, maxNights: null, noticeDays: 3, maxMonthsAhead: null});
+  });
+
+  it('describes rules for listing cards', function() {
+    assert.deepEqual(stayRules.describe(RULES), ['2-14 nights', '3 days\' notice', 'up to 6 months ahead']);
+    assert.deepEqual(stayRules.describe({minNights: 1}), ['at least 1 night']);
+  });
+});
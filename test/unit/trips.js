@@ -0,0 +1,61 @@
+var assert = require('assert');
+var nights = require('../../src/nights');
+var trips = require('../../src/trips');
+
+describe('Trips', function() {
+
+  var NOW = new Date(2020, 5, 10, 12, 0, 0);
+
+  function booking(status, checkIn, checkOut, extra) {
+    var details = {status: status, checkIn: checkIn, checkOut: checkOut, nights: nights.stay(checkIn, checkOut), totalPrice: 200, cancellationPolicy: 'moderate'};
+    Object.keys(extra || {}).forEach(function(key) {
+      details[key] = extra[key];
+    });
+    return details;
+  }
+
+  it('sorts bookings into upcoming, pending, past and cancelled', function() {
+    var grouped = trips.group([
+      booking('approved', '2020-06-20', '2020-06-22'),
+      booking('pending', '2020-07-01', '2020-07-03'),
+      booking('approved', '2020-05-01', '2020-05-03'),
+      booking('cancelled', '2020-06-12', '2020-06-13'),
+      booking('denied', '2020-06-14', '2020-06-15')
+    ], NOW);
+    assert.equal(grouped.upcoming.length, 1);
+    assert.equal(grouped.pending.length, 1);
+    assert.equal(grouped.past.length, 1);
+    assert.equal(grouped.cancelled.length, 2);
+  });
+
+  it('keeps a stay that is under way with the upcoming trips', function() {
+    var grouped = trips.group([booking('approved', '2020-06-09', '2020-06-12')], NOW);
+    assert.equal(grouped.upcoming.length, 1);
+    assert.equal(grouped.upcoming[0].canCancel, false);
+  });
+
+  it('lists upcoming trips soonest first', function() {
+    var grouped = trips.group([
+      booking('approved', '2020-08-01', '2020-08-02'),
+      booking('approved', '2020-06-20', '2020-06-22')
+    ], NOW);
+    assert.deepEqual(grouped.upcoming.map(function(trip) { return trip.checkIn; }), ['2020-06-20', '2020-08-01']);
+  });
+
+  it('offers cancellation of upcoming trips with the refund due', function() {
+    var trip = trips.group([booking('approved', '2020-06-13', '2020-06-15')], NOW).upcoming[0];
+    assert.equal(trip.canCancel, true);
+    assert.equal(trip.refund.amount, 100);
+  });
+
+  it('lets guests withdraw pending requests', function() {
+    var trip = trips.group([booking('pending', '2020-06-13', '2020-06-15')], NOW).pending[0];
+    assert.equal(trip.canCancel, true);
+    assert.equal(trip.refund, null);
+  });
+
+  it('works out dates for single-night bookings', function() {
+    var trip = trips.group([{status: 'approved', night: '2020-06-20'}], NOW).upcoming[0];
+    assert.deepEqual([trip.checkIn, trip.checkOut], ['2020-06-20', '2020-06-21']);
+  });
+});
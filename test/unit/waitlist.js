@@ -0,0 +1,144 @@
+var assert = require('assert');
+var memoryDb = require('../support/memoryDb');
+var nights = require('../../src/nights');
+var waitlist = require('../../src/waitlist');
+
+describe('Waitlist', function() {
+
+  var HOUR = 60 * 60 * 1000;
+  var NOW = new Date();
+  var start = nights.addDays(nights.of(NOW), 10);
+  var db, advertId;
+
+  function join(guest, checkIn, checkOut, callback) {
+    waitlist.join(db, {
+      advertId: advertId,
+      guestId: guest,
+      guestUsername: guest,
+      checkIn: checkIn,
+      checkOut: checkOut
+    }, callback);
+  }
+
+  function entries(callback) {
+    db.waitlist.find({}).sort({createdAt: 1}, function(err, docs) {
+      var byGuest = {};
+      docs.forEach(function(doc) {
+        byGuest[doc.guestId] = doc.status;
+      });
+      callback(byGuest, docs);
+    });
+  }
+
+  // Each guest joins a moment after the last, so the queue order is certain.
+  function joinInTurn(stays, done) {
+    if (!stays.length) {
+      return done();
+    }
+    join(stays[0][0], stays[0][1], stays[0][2], function() {
+      setTimeout(function() {
+        joinInTurn(stays.slice(1), done);
+      }, 2);
+    });
+  }
+
+  beforeEach(function(done) {
+    db = memoryDb();
+    db.adverts.insert({
+      name: 'Cosy flat',
+      userId: 'host',
+      startDate: start,
+      endDate: nights.addDays(start, 20),
+      bookedNights: []
+    }, function(err, advert) {
+      advertId = advert._id.toHexString();
+      joinInTurn([
+        ['ana', start, nights.addDays(start, 3)],
+        ['ben', nights.addDays(start, 1), nights.addDays(start, 2)],
+        ['cat', nights.addDays(start, 5), nights.addDays(start, 6)]
+      ], done);
+    });
+  });
+
+  it('keeps one entry per guest and stay', function(done) {
+    join('ana', start, nights.addDays(start, 3), function() {
+      db.waitlist.count({guestId: 'ana'}, function(err, count) {
+        assert.equal(count, 1);
+        done();
+      });
+    });
+  });
+
+  it('does not offer nights that are still booked', function(done) {
+    db.adverts.update({}, {$set: {bookedNights: [start, nights.addDays(start, 1), nights.addDays(start, 5)]}}, function() {
+      waitlist.offerFreed(db, advertId, {now: NOW, hours: 24}, function(err, offered) {
+        assert.equal(offered.length, 0);
+        done(err);
+      });
+    });
+  });
+
+  it('offers freed nights to the longest waiting guest and skips overlapping stays', function(done) {
+    waitlist.offerFreed(db, advertId, {now: NOW, hours: 24}, function(err, offered) {
+      assert.deepEqual(offered.map(function(entry) { return entry.guestId; }).sort(), ['ana', 'cat']);
+      assert.equal(offered[0].holdUntil.getTime(), NOW.getTime() + 24 * HOUR);
+      entries(function(byGuest) {
+        assert.deepEqual(byGuest, {ana: 'offered', ben: 'waiting', cat: 'offered'});
+        db.notifications.find({userId: 'ana'}, function(err, messages) {
+          assert.equal(messages.length, 1);
+          assert.ok(messages[0].message.indexOf('held for you for the next 24 hours') !== -1);
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('keeps held nights from other guests only', function(done) {
+    waitlist.offerFreed(db, advertId, {now: NOW, hours: 24}, function() {
+      waitlist.heldNights(db, advertId, 'ben', NOW, function(err, held) {
+        assert.deepEqual(Object.keys(held).sort(), [start, nights.addDays(start, 1), nights.addDays(start, 2), nights.addDays(start, 5)]);
+        waitlist.heldNights(db, advertId, 'ana', NOW, function(err, held) {
+          assert.deepEqual(Object.keys(held), [nights.addDays(start, 5)]);
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('uses up a hold once its guest requests the stay', function(done) {
+    waitlist.offerFreed(db, advertId, {now: NOW, hours: 24}, function() {
+      waitlist.redeem(db, advertId, 'ana', [start], function() {
+        entries(function(byGuest) {
+          assert.equal(byGuest.ana, 'booked');
+          done();
+        });
+      });
+    });
+  });
+
+  it('passes a lapsed hold on to the next guest in line', function(done) {
+    waitlist.offerFreed(db, advertId, {now: NOW, hours: 24}, function() {
+      var later = new Date(NOW.getTime() + 25 * HOUR);
+      waitlist.sweep(db, {now: later, hours: 24}, function(err, lapsed) {
+        assert.equal(lapsed.length, 2);
+        entries(function(byGuest, docs) {
+          assert.deepEqual(byGuest, {ana: 'lapsed', ben: 'offered', cat: 'lapsed'});
+          assert.equal(docs[1].holdUntil.getTime(), later.getTime() + 24 * HOUR);
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('lets a guest leave the waitlist', function(done) {
+    entries(function(byGuest, docs) {
+      waitlist.leave(db, docs[0]._id.toHexString(), 'ana', function(err, entry) {
+        assert.equal(entry.status, 'waiting');
+        waitlist.leave(db, docs[0]._id.toHexString(), 'ana', function(err, again) {
+          assert.equal(again, null);
+          done(err);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,46 @@
+var assert = require('assert');
+var windows = require('../../src/windows');
+
+describe('Availability windows', function() {
+
+  it('builds one window per pair of form dates', function() {
+    var built = windows.fromForm(['2020-03-06', '2020-08-01'], ['2020-03-08', '2020-08-31']);
+    assert.equal(built.length, 2);
+    assert.equal(built[0].start, '2020-03-06');
+    assert.equal(built[1].end, '2020-08-31');
+    assert.notEqual(built[0].id, built[1].id);
+  });
+
+  it('accepts a single window sent as plain strings', function() {
+    var built = windows.fromForm('2020-03-06', '2020-03-08');
+    assert.deepEqual([built[0].start, built[0].end], ['2020-03-06', '2020-03-08']);
+  });
+
+  it('skips windows with a missing date', function() {
+    assert.deepEqual(windows.fromForm(['2020-03-06', ''], ['', '2020-08-31']), []);
+  });
+
+  it('refuses windows on days that don\'t exist or are out of range', function() {
+    assert.strictEqual(windows.build('2020-03-06', '2020-02-30'), null);
+    assert.strictEqual(windows.build('9999-12-30', '9999-12-31'), null);
+    assert.deepEqual(windows.nightsOf([{start: '9999-12-30', end: '9999-12-31'}]), []);
+  });
+
+  it('swaps dates entered the wrong way round', function() {
+    var window = windows.build('2020-08-31', '2020-08-01');
+    assert.deepEqual([window.start, window.end], ['2020-08-01', '2020-08-31']);
+  });
+
+  it('reads the single date range of older adverts', function() {
+    var legacy = windows.of({startDate: '2020-01-01', endDate: '2020-01-03'});
+    assert.deepEqual([legacy[0].start, legacy[0].end], ['2020-01-01', '2020-01-03']);
+  });
+
+  it('offers each night once across overlapping windows', function() {
+    assert.deepEqual(windows.nightsOf([
+      {start: '2020-03-06', end: '2020-03-07'},
+      {start: '2020-03-07', end: '2020-03-08'},
+      {start: '2020-08-01', end: '2020-08-01'}
+    ]), ['2020-03-06', '2020-03-07', '2020-03-08', '2020-08-01']);
+  });
+});